@@ -0,0 +1,3941 @@
+// Gladelike - game simulation core
+//
+// Owns the map, the entities and all of the rules (generation, movement,
+// combat, FOV). It never touches the DOM or timers directly: everything the
+// player should see or hear goes through the UI adapter passed to the
+// constructor, so the core also runs headless under Node.
+
+// In the browser ROT comes from the rot.js <script> tag; under Node load the npm package
+if (typeof ROT === 'undefined' && typeof require === 'function') {
+    globalThis.ROT = require('rot-js');
+}
+
+// Constants
+const MAP_WIDTH = 80;  // Actual map width
+const MAP_HEIGHT = 50; // Actual map height
+const FOV_RADIUS = 6; // How far the player can see
+const MONSTER_SIGHT_RADIUS = 8; // How far monsters can spot the player
+const MONSTER_SEARCH_TURNS = 10; // How long a monster looks around after losing the player
+const MONSTER_FLEE_HEALTH = 0.25; // Fraction of max health below which monsters run away
+const BASE_MONSTERS = 6; // Base number of monsters per level
+const PLAYER_SPEED = 100; // Player speed for the turn scheduler - monsters are rated against this
+const INVENTORY_SIZE = 26; // One inventory slot per letter a-z
+const MAX_FOLLOWERS = 2; // Companions the player can lead at once
+const SAVE_VERSION = 9; // Bump when the save format changes, and add a migration below
+const EQUIPMENT_SLOTS = ['weapon', 'armor', 'shield', 'ring']; // Item kinds that can be equipped
+
+// Kinds of message-log line, so the UI can colour them: combat (blows traded),
+// danger (you get hurt), kill, loot, magic (monster spells), progress
+// (character levels and victory), travel (stairs) and info (everything else)
+const MESSAGE_CATEGORIES = ['combat', 'danger', 'kill', 'loot', 'magic', 'progress', 'travel', 'info'];
+
+// Save migrations, keyed by the version they upgrade from. Each one takes a
+// save in that version's format and returns it in the next version's format,
+// so old saves are upgraded step by step instead of crashing newer builds.
+// Saves have carried a version since the first format (1); there is nothing
+// older to upgrade, so a save without one can't be migrated and is ignored.
+const SAVE_MIGRATIONS = {
+    // Version 2 added the inventory and gold
+    1: data => Object.assign(data, { inventory: [], gold: 0 }),
+    
+    // Version 3 replaced playerDamage with a stat block and added equipment slots
+    2: data => {
+        data.playerStats = { damage: data.playerDamage, accuracy: 0.9, critChance: 0.1, defense: 0 };
+        delete data.playerDamage;
+        data.equipment = { weapon: null, armor: null, shield: null, ring: null };
+        return data;
+    },
+    
+    // Version 4 added experience and character levels
+    3: data => {
+        data.playerStats.damageBonus = 0;
+        return Object.assign(data, { playerLevel: 1, xp: 0 });
+    },
+    
+    // Version 5 gave monsters an AI state and a memory of where the player was
+    4: data => {
+        for (const monster of data.monsters) {
+            Object.assign(monster, { state: 'idle', lastKnownPlayerPos: null, searchTurns: 0 });
+        }
+        return data;
+    },
+    
+    // Version 6 added spellcasting (cooldowns and summons)
+    5: data => {
+        for (const monster of data.monsters) {
+            Object.assign(monster, { spellCooldown: 0, summonCount: 0, summoned: false });
+        }
+        return data;
+    },
+    
+    // Version 7 kept the levels left behind so the player can go back up
+    6: data => Object.assign(data, { levelCache: {} }),
+    
+    // Version 8 let NPCs remember what they've said to the player
+    7: data => {
+        for (const npcs of [data.npcs, ...Object.values(data.levelCache).map(level => level.npcs)]) {
+            for (const npc of npcs) npc.flags = [];
+        }
+        return data;
+    },
+    
+    // Version 9 added quests
+    8: data => Object.assign(data, { quests: [] })
+};
+
+// Game content that lives in JSON data files rather than code, by the name
+// it is loaded under (see loadContent). The UI fetches these; under Node they
+// can be read with readContentFiles.
+const CONTENT_FILES = {
+    tiles: 'data/tiles.json',                  // Tile or feature name -> its sprite in tiles.png
+    characters: 'data/characters.json',        // Player and NPC sprites in rogues.png
+    monsters: 'data/monsters.json',            // Monster sprites, stats and behaviours
+    levels: 'data/levels.json',                // One theme per dungeon level, top to bottom
+    animatedTiles: 'data/animated-tiles.json', // Animation frames and lighting for firepits
+    dialogue: 'data/dialogue.json',            // What NPCs say, and who says what
+    quests: 'data/quests.json',                // Quests NPCs hand out (see startQuest)
+    companions: 'data/companions.json'         // Fighting stats of the NPCs who can join the player
+};
+
+// The manifest listing the sprites in each sprite sheet, one per line:
+// "<row>.<column letter>. <description>" counting from 1 and a, or
+// "<row>. <description>" for a strip of animation frames starting in the
+// first column. The data files name sprites by their description in
+// camelCase, e.g. "17.h. staircase down" is 'staircaseDown' (see buildSpriteAtlas).
+const SPRITE_MANIFESTS = {
+    tiles: 'tiles.txt',
+    characters: 'rogues.txt',
+    monsters: 'monsters.txt',
+    animatedTiles: 'animated-tiles.txt'
+};
+
+// What each data file must look like, checked by validateContent. A schema is
+// one of the value types below, or:
+//   { list: schema, minLength }  - an array of values
+//   { map: schema, required }    - an object of named entries, with the names that must be there
+//   { fields: {...}, optional }  - an object with exactly these fields
+//   { oneOf: [...] }             - one of a fixed set of strings
+//   { sprite: sheet }            - the name of a sprite in that sheet's manifest
+const CONTENT_VALUE_TYPES = {
+    string: { test: value => typeof value === 'string', expected: 'a string' },
+    boolean: { test: value => typeof value === 'boolean', expected: 'true or false' },
+    number: { test: value => typeof value === 'number', expected: 'a number' },
+    positive: { test: value => typeof value === 'number' && value > 0, expected: 'a number above 0' },
+    count: { test: value => Number.isInteger(value) && value > 0, expected: 'a whole number above 0' },
+    chance: { test: value => typeof value === 'number' && value >= 0 && value <= 1, expected: 'a number from 0 to 1' },
+    range: {
+        test: value => Array.isArray(value) && value.length === 2 && value.every(n => typeof n === 'number') && value[0] <= value[1],
+        expected: 'a [min, max] pair of numbers'
+    }
+};
+
+// What a dialogue choice can ask for before it's offered (every one given
+// must hold), and what choosing it does - see meetsDialogueConditions and
+// applyDialogueEffects
+const DIALOGUE_CONDITIONS_SCHEMA = {
+    fields: {
+        minLevel: 'count',      // Dungeon level at least...
+        maxLevel: 'count',      // ...and at most
+        healthBelow: 'chance',  // Player health under this fraction of the maximum
+        hasItem: 'string',      // An item type in the inventory
+        minGold: 'count',       // Gold at least...
+        maxGold: 'count',       // ...and at most
+        flag: 'string',         // The NPC has been given this flag (by setFlag)...
+        notFlag: 'string',      // ...or hasn't
+        quest: 'string',        // The player has taken this quest (finished or not)...
+        notQuest: 'string',     // ...or hasn't
+        levelHasVault: 'string', // The current level has a vault of this name
+        partyFull: 'boolean'    // The player has (or, if false, hasn't) MAX_FOLLOWERS companions
+    },
+    optional: ['minLevel', 'maxLevel', 'healthBelow', 'hasItem', 'minGold', 'maxGold', 'flag', 'notFlag', 'quest', 'notQuest', 'levelHasVault', 'partyFull']
+};
+const DIALOGUE_EFFECTS_SCHEMA = {
+    fields: {
+        takeItem: 'string',     // Take one of an item type from the inventory
+        giveItem: 'string',     // Give the player one of an item type
+        gold: 'number',         // Give (or, if negative, take) gold
+        heal: 'count',          // Heal the player
+        revealStairs: 'boolean', // Mark the way down on the player's map
+        openShop: 'boolean',    // Trade with this NPC (it needs a stock, like shopkeepers)
+        startQuest: 'string',   // Take on a quest from data/quests.json
+        recruit: 'boolean',     // This NPC joins the player (see data/companions.json)
+        order: { oneOf: ['follow', 'stay', 'flee'] }, // Tell a companion what to do
+        dismiss: 'boolean',     // A companion leaves the player's side
+        setFlag: 'string'       // Remember something about this NPC
+    },
+    optional: ['takeItem', 'giveItem', 'gold', 'heal', 'revealStairs', 'openShop', 'startQuest', 'recruit', 'order', 'dismiss', 'setFlag']
+};
+
+const CONTENT_SCHEMA = {
+    tiles: {
+        map: { sprite: 'tiles' },
+        required: ['door', 'doorClosed', 'doorOpen', 'chest', 'chestOpen', 'itemPile', 'stairsDown', 'stairsUp']
+    },
+    characters: { map: { sprite: 'characters' }, required: ['rogue', 'shopkeep'] },
+    monsters: {
+        map: {
+            fields: {
+                sprite: { sprite: 'monsters' },
+                health: 'positive',
+                damage: 'range',
+                speed: 'positive',
+                accuracy: 'chance',
+                defense: 'number',
+                xp: 'number',
+                gold: 'range',
+                fearless: 'boolean',
+                behaviour: {
+                    fields: {
+                        kind: { oneOf: ['melee', 'ranged', 'caster'] },
+                        range: 'positive',
+                        keepAway: 'number',
+                        projectile: { oneOf: ['arrow'] },
+                        spells: { list: 'string', minLength: 1 },
+                        summons: 'string'
+                    },
+                    optional: ['range', 'keepAway', 'projectile', 'spells', 'summons']
+                }
+            },
+            optional: ['gold', 'fearless']
+        }
+    },
+    levels: {
+        list: {
+            fields: {
+                name: 'string',
+                generator: 'string',
+                size: 'chance',
+                walls: { fields: { top: 'string', sides: { map: 'positive' }, inner: 'string' } },
+                floors: { list: 'string', minLength: 1 },
+                npcs: { list: 'string', minLength: 1 },
+                monsters: { list: 'string', minLength: 1 }
+            }
+        },
+        minLength: 1
+    },
+    animatedTiles: {
+        map: {
+            fields: {
+                sprite: { sprite: 'animatedTiles' },
+                frames: 'count',
+                frameDuration: 'positive',
+                lightRadius: 'number',
+                lightIntensity: 'chance'
+            }
+        },
+        required: ['firepit']
+    },
+    dialogue: {
+        fields: {
+            // NPC type -> its dialogue tree and the lines it greets the player
+            // with; types without an entry use 'default'
+            characters: {
+                map: { fields: { tree: 'string', greetings: { list: 'string', minLength: 1 } } },
+                required: ['default']
+            },
+            // Tree name -> its nodes by name, starting from 'start'. A choice
+            // without `next` ends the conversation. Companions all talk with
+            // the 'companion' tree, whatever their type
+            trees: {
+                map: {
+                    map: {
+                        fields: {
+                            text: 'string',
+                            choices: {
+                                list: {
+                                    fields: { text: 'string', next: 'string', if: DIALOGUE_CONDITIONS_SCHEMA, effects: DIALOGUE_EFFECTS_SCHEMA },
+                                    optional: ['next', 'if', 'effects']
+                                },
+                                minLength: 1
+                            }
+                        },
+                        optional: ['text']
+                    },
+                    required: ['start']
+                },
+                required: ['companion']
+            }
+        }
+    },
+    quests: {
+        map: {
+            fields: {
+                title: 'string',
+                description: 'string',
+                // kill - `count` of the `monsters` types on the level where the quest was taken
+                // retrieve - get hold of an `item`
+                // escort - lead the NPC who gave the quest to the stairs down
+                // reach - get down to dungeon `level`
+                objective: {
+                    fields: {
+                        kind: { oneOf: ['kill', 'retrieve', 'escort', 'reach'] },
+                        monsters: { list: 'string', minLength: 1 },
+                        count: 'count',
+                        item: 'string',
+                        level: 'count'
+                    },
+                    optional: ['monsters', 'count', 'item', 'level']
+                },
+                reward: { fields: { xp: 'count', gold: 'count', item: 'string' }, optional: ['xp', 'gold', 'item'] }
+            }
+        }
+    },
+    companions: {
+        map: { fields: { health: 'positive', damage: 'range', accuracy: 'chance', defense: 'number' } }
+    }
+};
+
+// The UI adapter interface. The core calls these hooks when something happens
+// that the player should see; GladelikeGame in game.js implements them with the
+// canvas and DOM. This headless version ignores everything and runs deferred
+// actions immediately, which is what tests and other Node tools want.
+class HeadlessUI {
+    // Game state changed - redraw the map and HUD
+    refresh() {}
+    
+    // An attack landed (damage 0 is a miss)
+    onAttack(attacker, target, damage, isCritical) {}
+    
+    // The player lost health
+    onPlayerDamaged(amount) {}
+    
+    // A monster was killed and removed from the level
+    onMonsterKilled(monster) {}
+    
+    // Items were picked up (leftItems didn't fit and stayed on the floor)
+    onItemsPickedUp(items, leftItems) {}
+    
+    // A potion or scroll was used
+    onItemUsed(item) {}
+    
+    // The player earned experience
+    onXpGained(amount) {}
+    
+    // The player reached a new character level
+    onPlayerLevelUp(level) {}
+    
+    // A projectile ('arrow' or 'firebolt') flew along path ([{x, y}, ...] from shooter to target)
+    onProjectile(path, kind) {}
+    
+    // A monster cast a spell (target is the player, the healed ally or the summoned monster)
+    onSpellCast(caster, spell, target) {}
+    
+    // The player arrived on a new dungeon level
+    onLevelEntered() {}
+    
+    // A conversation started or moved on (see getDialogue); null when it ended
+    onDialogue(dialogue) {}
+    
+    // The player started trading with a shopkeeper NPC; null when they stopped
+    onShop(shopkeeper) {}
+    
+    onPlayerDied() {}
+    
+    onPlayerWon() {}
+    
+    // A line for the message log; category is one of MESSAGE_CATEGORIES
+    onMessage(text, category) {}
+    
+    // Run a follow-up action after a delay (used to space out counter-attacks)
+    defer(callback, delay) {
+        callback();
+    }
+}
+
+// Game simulation class
+class GladelikeCore {
+    constructor(ui = new HeadlessUI(), content = null) {
+        this.ui = ui;
+        
+        // Add isDead flag
+        this.isDead = false;
+        
+        // Set up player character, NPCs, and monsters
+        this.player = null;
+        this.npcs = [];
+        this.monsters = [];
+        
+        // Player stats, experience, inventory and equipment
+        this.resetPlayer();
+        
+        // FOV and map memory
+        this.visibleTiles = {};
+        this.exploredTiles = {};
+        
+        // Dungeon depth tracking
+        this.currentLevel = 1;
+        
+        // Levels the player has left, by depth, so they come back exactly as they were
+        this.levelCache = {};
+        
+        // Run seed - every level is generated from this plus its depth,
+        // so a seed can be shared to replay the same dungeon
+        this.seed = null;
+        
+        // How monsters get their turns: 'realtime' (the UI runs a wall-clock
+        // timer and calls moveMonsters) or 'turns' (each player action advances
+        // a ROT.Scheduler.Speed and monsters act according to their speed)
+        this.timeMode = 'realtime';
+        this.scheduler = null;
+        this.monsterActors = new Map(); // Monster -> its scheduler entry
+        
+        // Where the player is walking to with travelTo or autoExplore, and the
+        // monsters and finds already in view when they set off - or null when
+        // not travelling
+        this.travel = null;
+        
+        // The conversation the player is in: { npc, tree, node, greeting },
+        // or null (see talkTo)
+        this.dialogue = null;
+        
+        // The shopkeeper NPC the player is trading with, or null (see openShop)
+        this.shop = null;
+        
+        // Listeners on the central event feed (see postEvent); quests follow it
+        this.eventListeners = [event => this.updateQuests(event)];
+        
+        // Spells monster casters can use. After casting, the caster waits
+        // `cooldown` of its own turns before casting again.
+        this.spells = {
+            'firebolt': { name: 'Firebolt', damage: [4, 9], cooldown: 2 },
+            'healAlly': { name: 'Heal', heal: 12, cooldown: 4 },
+            'summon': { name: 'Summon', chance: 0.25, maxSummons: 2, cooldown: 8 }
+        };
+        
+        // Track animated tiles and light sources
+        this.animatedTiles = [];
+        this.lightSources = [];
+        
+        this.defineItemTypes();
+        this.defineMapGenerators();
+        this.defineVaults();
+        this.defineLootTable();
+        
+        // Monsters, level themes and the rest of the data files. The browser
+        // fetches them first and calls loadContent itself once they're in.
+        if (content) this.loadContent(content);
+    }
+    
+    // Install the game's data files (see CONTENT_FILES), with the text of each
+    // sprite manifest in content.manifests (see SPRITE_MANIFESTS). Everything
+    // is checked first, and nothing is installed unless it all passes; the
+    // Error thrown lists every problem found, one per line.
+    loadContent(content) {
+        const errors = this.validateContent(content);
+        if (errors.length > 0) {
+            throw new Error(`The game data has ${errors.length} problem${errors.length === 1 ? '' : 's'}:\n${errors.join('\n')}`);
+        }
+        
+        this.content = content;
+        
+        // Sprite name -> [row, column] for each sprite sheet (see getSprite),
+        // and the manifests' own wording for each sprite (see getSpriteDescription)
+        this.spriteDescriptions = {};
+        this.spriteAtlas = this.buildSpriteAtlas(content.manifests, [], this.spriteDescriptions);
+        
+        // Monster stats (speed 100 acts as often as the player in turn-based
+        // mode) and how each type fights (see moveMonster):
+        //   melee  - close in and attack when adjacent
+        //   ranged - shoot from up to `range` tiles away, backing off when closer than `keepAway`
+        //   caster - like ranged, but casts from its `spells` list instead of shooting
+        this.monsterStats = content.monsters;
+        
+        // Level themes, one per dungeon level (the last one holds the exit)
+        this.levels = content.levels;
+        
+        // Whatever any level builds its walls from blocks movement and sight (see isWallTile)
+        this.wallTiles = this.collectWallTiles(content.levels);
+        
+        // Animations (the first frame's sprite in animated-tiles.png and how
+        // many frames follow it along the row) and lighting
+        this.animatedTileTypes = content.animatedTiles;
+    }
+    
+    // Parse the sprite manifests (see SPRITE_MANIFESTS) into a lookup of
+    // sprite name -> [row, column] for each sheet. Cells listed as "empty" are
+    // left out; lines that can't be read are added to errors. The text of each
+    // line ("staircase down") goes into descriptions, by sheet and name.
+    buildSpriteAtlas(manifests, errors, descriptions = {}) {
+        const atlas = {};
+        
+        for (const [sheet, file] of Object.entries(SPRITE_MANIFESTS)) {
+            atlas[sheet] = {};
+            descriptions[sheet] = {};
+            if (!manifests || typeof manifests[sheet] !== 'string') {
+                errors.push(`${file}: missing`);
+                continue;
+            }
+            
+            const lineNumbers = {}; // Sprite name -> the line it came from, to catch duplicates
+            manifests[sheet].split(/\r?\n/).forEach((line, i) => {
+                line = line.trim();
+                if (line === '') return;
+                
+                const match = line.match(/^(\d+)\.(?:([a-z])\.)?\s+(.*[a-z0-9].*)$/i);
+                if (!match) {
+                    errors.push(`${file}: line ${i + 1} should look like "17.h. staircase down", not "${line}"`);
+                    return;
+                }
+                
+                // "staircase down" -> 'staircaseDown'
+                const words = match[3].toLowerCase().split(/[^a-z0-9]+/).filter(word => word);
+                const name = words.map((word, j) => (j === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+                if (name === 'empty') return;
+                
+                if (lineNumbers[name]) {
+                    errors.push(`${file}: line ${i + 1} is called "${name}" again (it's already on line ${lineNumbers[name]})`);
+                    return;
+                }
+                lineNumbers[name] = i + 1;
+                
+                const column = match[2] ? match[2].toLowerCase().charCodeAt(0) - 'a'.charCodeAt(0) : 0;
+                atlas[sheet][name] = [Number(match[1]) - 1, column];
+                descriptions[sheet][name] = match[3].trim();
+            });
+        }
+        
+        return atlas;
+    }
+    
+    // [row, column] of a named sprite in one of the sprite sheets
+    getSprite(sheet, name) {
+        const sprite = this.spriteAtlas[sheet][name];
+        if (!sprite) throw new Error(`There is no sprite called "${name}" in ${SPRITE_MANIFESTS[sheet]}`);
+        return sprite;
+    }
+    
+    // What a sprite shows, in the words of its manifest, without the numbers
+    // that tell variants apart: 'floorStone2' -> "floor stone",
+    // 'framedDoor1Shut' -> "framed door (shut)"
+    getSpriteDescription(sheet, name) {
+        const description = this.spriteDescriptions[sheet][name] || name;
+        return description.replace(/\s+\d+\b/g, '');
+    }
+    
+    // Check the data files against CONTENT_SCHEMA, and that the names they use
+    // for each other (monster types, sprites, generators, spells) all exist.
+    // Returns a list of readable problems, empty if there are none.
+    validateContent(content) {
+        const errors = [];
+        const atlas = this.buildSpriteAtlas(content && content.manifests, errors);
+        
+        for (const [name, file] of Object.entries(CONTENT_FILES)) {
+            if (!content || content[name] === undefined) {
+                errors.push(`${file}: missing`);
+            } else {
+                this.checkSchema(content[name], CONTENT_SCHEMA[name], file, '', errors, atlas);
+            }
+        }
+        
+        // Only look for broken references once the shapes are right
+        if (errors.length > 0) return errors;
+        
+        const { tiles, characters, monsters, levels } = content;
+        const checkName = (file, path, name, known, what) => {
+            if (!known[name]) errors.push(`${file}: ${path} "${name}" is not ${what}`);
+        };
+        
+        for (const [type, monster] of Object.entries(monsters)) {
+            const file = CONTENT_FILES.monsters;
+            const behaviour = monster.behaviour;
+            const needs = { melee: [], ranged: ['range', 'keepAway', 'projectile'], caster: ['range', 'keepAway', 'spells'] }[behaviour.kind];
+            for (const field of needs) {
+                if (behaviour[field] === undefined) errors.push(`${file}: ${type}.behaviour.${field} is needed by a ${behaviour.kind} monster`);
+            }
+            (behaviour.spells || []).forEach((spell, i) => checkName(file, `${type}.behaviour.spells[${i}]`, spell, this.spells, 'a spell'));
+            if (behaviour.spells && behaviour.spells.includes('summon') && behaviour.summons === undefined) {
+                errors.push(`${file}: ${type}.behaviour.summons is needed to cast summon`);
+            }
+            if (behaviour.summons !== undefined) checkName(file, `${type}.behaviour.summons`, behaviour.summons, monsters, 'a monster type');
+        }
+        
+        // A tile is either a wall everywhere or nowhere - it can't also be a floor
+        const wallTiles = this.collectWallTiles(levels);
+        
+        levels.forEach((level, i) => {
+            const file = CONTENT_FILES.levels;
+            const path = `[${i}]`;
+            checkName(file, `${path}.generator`, level.generator, this.mapGenerators, 'a map generator');
+            checkName(file, `${path}.walls.top`, level.walls.top, tiles, 'a tile');
+            checkName(file, `${path}.walls.inner`, level.walls.inner, tiles, 'a tile');
+            Object.keys(level.walls.sides).forEach(tile => checkName(file, `${path}.walls.sides`, tile, tiles, 'a tile'));
+            level.floors.forEach((tile, j) => {
+                checkName(file, `${path}.floors[${j}]`, tile, tiles, 'a tile');
+                if (wallTiles.has(tile)) errors.push(`${file}: ${path}.floors[${j}] "${tile}" is also used for walls`);
+            });
+            level.npcs.forEach((npc, j) => checkName(file, `${path}.npcs[${j}]`, npc, characters, 'a character'));
+            level.monsters.forEach((type, j) => checkName(file, `${path}.monsters[${j}]`, type, monsters, 'a monster type'));
+        });
+        
+        for (const [id, quest] of Object.entries(content.quests)) {
+            const file = CONTENT_FILES.quests;
+            const { objective, reward } = quest;
+            const needs = { kill: ['monsters', 'count'], retrieve: ['item'], escort: [], reach: ['level'] }[objective.kind];
+            for (const field of needs) {
+                if (objective[field] === undefined) errors.push(`${file}: ${id}.objective.${field} is needed for a ${objective.kind} quest`);
+            }
+            (objective.monsters || []).forEach((type, i) => checkName(file, `${id}.objective.monsters[${i}]`, type, monsters, 'a monster type'));
+            if (objective.item !== undefined) checkName(file, `${id}.objective.item`, objective.item, this.itemTypes, 'an item type');
+            if (objective.level > levels.length) errors.push(`${file}: ${id}.objective.level ${objective.level} is deeper than the dungeon`);
+            if (reward.item !== undefined) checkName(file, `${id}.reward.item`, reward.item, this.itemTypes, 'an item type');
+        }
+        
+        for (const type of Object.keys(content.companions)) {
+            if (!characters[type]) errors.push(`${CONTENT_FILES.companions}: "${type}" is not a character`);
+        }
+        
+        const file = CONTENT_FILES.dialogue;
+        const { trees } = content.dialogue;
+        const vaults = Object.fromEntries(this.vaults.map(vault => [vault.name, vault]));
+        for (const [type, character] of Object.entries(content.dialogue.characters)) {
+            if (type !== 'default') checkName(file, 'characters', type, characters, 'a character');
+            checkName(file, `characters.${type}.tree`, character.tree, trees, 'a dialogue tree');
+        }
+        for (const [treeName, nodes] of Object.entries(trees)) {
+            for (const [nodeName, node] of Object.entries(nodes)) {
+                node.choices.forEach((choice, i) => {
+                    const path = `trees.${treeName}.${nodeName}.choices[${i}]`;
+                    if (choice.next !== undefined) checkName(file, `${path}.next`, choice.next, nodes, `a node in "${treeName}"`);
+                    if (choice.if && choice.if.hasItem) checkName(file, `${path}.if.hasItem`, choice.if.hasItem, this.itemTypes, 'an item type');
+                    for (const field of ['takeItem', 'giveItem']) {
+                        if (choice.effects && choice.effects[field]) checkName(file, `${path}.effects.${field}`, choice.effects[field], this.itemTypes, 'an item type');
+                    }
+                    for (const field of ['quest', 'notQuest']) {
+                        if (choice.if && choice.if[field]) checkName(file, `${path}.if.${field}`, choice.if[field], content.quests, 'a quest');
+                    }
+                    if (choice.if && choice.if.levelHasVault) checkName(file, `${path}.if.levelHasVault`, choice.if.levelHasVault, vaults, 'a vault');
+                    if (choice.effects && choice.effects.startQuest) checkName(file, `${path}.effects.startQuest`, choice.effects.startQuest, content.quests, 'a quest');
+                });
+            }
+        }
+        
+        // The vaults (in defineVaults) draw on the data files too
+        for (const vault of this.vaults) {
+            for (const [char, entry] of Object.entries({ ...this.vaultLegend, ...vault.legend })) {
+                if (entry.item && !this.itemTypes[entry.item]) {
+                    errors.push(`Vault "${vault.name}": '${char}' uses item "${entry.item}", which is not an item type`);
+                }
+                for (const [field, known, name] of [['feature', tiles, 'tiles'], ['monster', monsters, 'monsters'], ['npc', characters, 'characters']]) {
+                    if (entry[field] && !known[entry[field]]) {
+                        errors.push(`Vault "${vault.name}": '${char}' uses ${field} "${entry[field]}", which is missing from ${CONTENT_FILES[name]}`);
+                    }
+                }
+            }
+        }
+        
+        return errors;
+    }
+    
+    // Check one value against a CONTENT_SCHEMA entry, adding a message to
+    // errors for each problem (path says where in the file it is). Sprite
+    // names are looked up in atlas (see buildSpriteAtlas).
+    checkSchema(value, schema, file, path, errors, atlas) {
+        const where = path ? `${file}: ${path}` : file;
+        const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        if (typeof schema === 'string') {
+            const type = CONTENT_VALUE_TYPES[schema];
+            if (!type.test(value)) errors.push(`${where} should be ${type.expected}, not ${JSON.stringify(value)}`);
+        } else if (schema.sprite) {
+            const manifest = SPRITE_MANIFESTS[schema.sprite];
+            if (typeof value !== 'string') {
+                errors.push(`${where} should be the name of a sprite in ${manifest}, not ${JSON.stringify(value)}`);
+            } else if (!atlas[schema.sprite][value]) {
+                errors.push(`${where} "${value}" is not a sprite in ${manifest}`);
+            }
+        } else if (schema.oneOf) {
+            if (!schema.oneOf.includes(value)) {
+                errors.push(`${where} should be one of ${schema.oneOf.map(option => `"${option}"`).join(', ')}, not ${JSON.stringify(value)}`);
+            }
+        } else if (schema.list) {
+            if (!Array.isArray(value)) {
+                errors.push(`${where} should be a list`);
+            } else {
+                if (value.length < (schema.minLength || 0)) errors.push(`${where} should have at least ${schema.minLength} entr${schema.minLength === 1 ? 'y' : 'ies'}`);
+                value.forEach((item, i) => this.checkSchema(item, schema.list, file, `${path}[${i}]`, errors, atlas));
+            }
+        } else if (schema.map) {
+            if (!isObject) {
+                errors.push(`${where} should be an object`);
+            } else {
+                for (const name of schema.required || []) {
+                    if (value[name] === undefined) errors.push(`${where} needs an entry for "${name}"`);
+                }
+                for (const [name, item] of Object.entries(value)) {
+                    this.checkSchema(item, schema.map, file, path ? `${path}.${name}` : name, errors, atlas);
+                }
+            }
+        } else if (schema.fields) {
+            if (!isObject) {
+                errors.push(`${where} should be an object`);
+            } else {
+                const optional = schema.optional || [];
+                for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+                    const fieldPath = path ? `${path}.${name}` : name;
+                    if (value[name] !== undefined) {
+                        this.checkSchema(value[name], fieldSchema, file, fieldPath, errors, atlas);
+                    } else if (!optional.includes(name)) {
+                        errors.push(`${file}: ${fieldPath} is missing`);
+                    }
+                }
+                for (const name of Object.keys(value)) {
+                    if (!schema.fields[name]) errors.push(`${file}: ${path ? `${path}.${name}` : name} is not a known field`);
+                }
+            }
+        }
+    }
+    
+    // Start a fresh run on level 1 from the given seed
+    newGame(seed) {
+        this.seed = seed;
+        this.currentLevel = 1;
+        this.isDead = false;
+        this.levelCache = {};
+        this.endDialogue();
+        this.closeShop();
+        this.resetPlayer();
+        
+        this.generateLevel();
+        this.computeFOV();
+        this.addMessage(`You enter ${this.getLevelTheme().name}`, 'travel');
+        this.ui.refresh();
+    }
+    
+    // Everything the player carries from one dungeon level to the next,
+    // back to how a new run starts
+    resetPlayer() {
+        this.maxHealth = 100;
+        this.currentHealth = 100;
+        
+        // Unarmed stats - equipped gear and character levels build on these (see getPlayerStats)
+        this.playerStats = {
+            damage: [5, 10],   // Min-max damage
+            damageBonus: 0,    // Added to both ends of the range, weapon or not
+            accuracy: 0.9,     // Chance to hit
+            critChance: 0.1,   // Chance of a double-damage critical
+            defense: 0         // Subtracted from every hit taken
+        };
+        
+        // Character level and experience towards the next one
+        this.playerLevel = 1;
+        this.xp = 0;
+        
+        // Carried items ({ type, quantity }) and gold
+        this.inventory = [];
+        this.gold = 0;
+        
+        // Equipped items, one per slot (null when empty)
+        this.equipment = { weapon: null, armor: null, shield: null, ring: null };
+        
+        // Quests taken on (see startQuest)
+        this.quests = [];
+    }
+    
+    // Hash a seed string into a 32-bit integer for ROT.RNG (FNV-1a)
+    hashSeed(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    // Generate the current level. ROT.RNG is reseeded from the run seed and the
+    // depth first, so the same seed and level always give the same map, NPCs,
+    // monsters and features regardless of what happened on earlier levels.
+    generateLevel() {
+        ROT.RNG.setSeed(this.hashSeed(`${this.seed}:${this.currentLevel}`));
+        
+        this.exploredTiles = {};
+        this.generateMap();
+        this.placeChests();
+        this.placeCharacters();
+        this.placeShopkeeper();
+        this.placeFirepits();  // Place firepits near spawn points
+        this.placeMonsters();
+        this.placeVaultSpawns();
+        this.buildScheduler();
+    }
+    
+    // Switch between 'realtime' and 'turns' monster timing
+    setTimeMode(mode) {
+        this.timeMode = mode;
+        this.buildScheduler();
+    }
+    
+    // Set up the turn queue for the current level. Scheduler entries wrap the
+    // player and monsters because ROT.Scheduler.Speed needs a getSpeed()
+    // method and the entities themselves stay plain data for saving.
+    buildScheduler() {
+        this.scheduler = new ROT.Scheduler.Speed();
+        this.monsterActors = new Map();
+        
+        if (this.timeMode !== 'turns' || !this.player) return;
+        
+        this.scheduler.add({ isPlayer: true, getSpeed: () => PLAYER_SPEED }, true);
+        for (const monster of this.monsters) {
+            this.addMonsterActor(monster);
+        }
+    }
+    
+    addMonsterActor(monster) {
+        const actor = {
+            monster,
+            getSpeed: () => this.monsterStats[monster.type].speed
+        };
+        this.monsterActors.set(monster, actor);
+        this.scheduler.add(actor, true);
+    }
+    
+    removeMonsterActor(monster) {
+        const actor = this.monsterActors.get(monster);
+        if (actor) {
+            this.scheduler.remove(actor);
+            this.monsterActors.delete(monster);
+        }
+    }
+    
+    // In turn-based mode, let every monster whose turn comes up before the
+    // player's next turn act, according to their speed. Companions act once
+    // per player turn; in real-time mode they only keep up here, and fight on
+    // the monster clock (see moveMonsters).
+    endPlayerTurn() {
+        this.moveEscorts();
+        this.moveFollowers(this.timeMode === 'turns');
+        
+        if (this.timeMode !== 'turns') return;
+        
+        while (!this.isDead) {
+            const actor = this.scheduler.next();
+            if (!actor || actor.isPlayer) break;
+            
+            this.moveMonster(actor.monster);
+        }
+        
+        this.ui.refresh();
+    }
+    
+    // Spend a turn without moving
+    waitTurn() {
+        if (!this.player || this.isDead) return;
+        
+        this.endPlayerTurn();
+    }
+    
+    // Set off for an explored tile. The UI then calls travelStep once per tick
+    // until isTravelling() is false. Returns false if there's no known way there.
+    travelTo(x, y) {
+        if (!this.player || this.isDead) return false;
+        
+        const path = this.findTravelPath(x, y);
+        if (!path || path.length === 0) return false;
+        
+        this.travel = { x, y, seenMonsters: new Set(this.getVisibleMonsters()) };
+        return true;
+    }
+    
+    // Explore the level by walking to the nearest edge of the explored area,
+    // step by step like travelTo. Exploring stops for monsters, for items,
+    // chests and stairs coming into view, and when the player is hurt. Once
+    // the level is fully explored, it heads for the stairs down instead.
+    autoExplore() {
+        if (!this.player || this.isDead) return;
+        
+        this.travel = {
+            x: this.player.x,
+            y: this.player.y,
+            seenMonsters: new Set(this.getVisibleMonsters()),
+            exploring: true,
+            seenFinds: new Set(this.getVisibleFinds()),
+            reached: new Set() // Targets already walked to, in case one didn't uncover anything
+        };
+        this.travelStep();
+    }
+    
+    isTravelling() {
+        return this.travel !== null;
+    }
+    
+    stopTravel() {
+        this.travel = null;
+    }
+    
+    // Take the next step towards the travel destination. Travel ends on
+    // arrival, when a monster the player hadn't seen yet comes into view, or
+    // when the way is blocked; taking damage ends it too (see modifyHealth)
+    travelStep() {
+        if (!this.travel) return;
+        if (!this.player || this.isDead) {
+            this.stopTravel();
+            return;
+        }
+        
+        const newMonster = this.getVisibleMonsters().find(m => !this.travel.seenMonsters.has(m));
+        if (newMonster) {
+            const name = this.getMonsterName(newMonster);
+            this.addMessage(`You see ${/^[aeiou]/.test(name) ? 'an' : 'a'} ${name} and stop`, 'danger');
+            this.stopTravel();
+            return;
+        }
+        
+        if (this.travel.exploring) {
+            const find = this.getVisibleFinds().find(key => !this.travel.seenFinds.has(key));
+            if (find) {
+                const [x, y] = find.split(',').map(Number);
+                this.addMessage(`You find ${this.describeFind(this.map[y][x])}`, 'loot');
+                this.stopTravel();
+                return;
+            }
+            
+            // Head for the nearest unexplored spot, or the stairs once there's none left
+            const target = this.findExploreTarget();
+            if (target) {
+                this.travel.x = target.x;
+                this.travel.y = target.y;
+            } else if (!this.headForStairs()) {
+                return;
+            }
+        }
+        
+        // Recomputed every step, so doors that open and monsters that move
+        // out of the way are taken into account
+        const path = this.findTravelPath(this.travel.x, this.travel.y);
+        const next = path && path[0];
+        if (!next || this.monsters.some(m => m.x === next.x && m.y === next.y)) {
+            this.stopTravel();
+            return;
+        }
+        
+        // Exploring stops next to the stairs rather than taking them
+        if (this.travel.toStairs && path.length === 1) {
+            const exit = this.map[next.y][next.x];
+            this.addMessage(`You've explored the level and stop by ${this.describeFind(exit)}`, 'travel');
+            this.stopTravel();
+            return;
+        }
+        
+        const { x, y, exploring } = this.travel;
+        this.movePlayer(next.x - this.player.x, next.y - this.player.y);
+        if (this.travel && this.player.x === x && this.player.y === y) {
+            if (exploring) {
+                this.travel.reached.add(`${x},${y}`);
+            } else {
+                this.stopTravel();
+            }
+        }
+    }
+    
+    // Switch a finished exploration over to walking to the known stairs down
+    // (or the exit on the last level). Returns false, and stops, if there's
+    // nowhere to go.
+    headForStairs() {
+        const exit = this.findKnownExit();
+        if (exit) {
+            Object.assign(this.travel, { x: exit.x, y: exit.y, exploring: false, toStairs: true });
+            return true;
+        }
+        
+        this.addMessage('There is nothing left to explore', 'travel');
+        this.stopTravel();
+        return false;
+    }
+    
+    // Walk to the known stairs down (or the exit on the last level) and take them
+    travelToStairs() {
+        if (!this.player || this.isDead) return false;
+        
+        const exit = this.findKnownExit();
+        if (!exit) {
+            this.addMessage("You don't know the way down yet", 'travel');
+            return false;
+        }
+        
+        return this.travelTo(exit.x, exit.y);
+    }
+    
+    // The stairs down, or the final level's exit, if the player has seen
+    // them and can walk there - otherwise null
+    findKnownExit() {
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (this.isLevelExit(x, y) && this.map[y][x].feature !== 'stairsUp' && this.findTravelPath(x, y)) {
+                    return { x, y };
+                }
+            }
+        }
+        return null;
+    }
+    
+    // The nearest explored tile the player can walk to that borders
+    // unexplored ground, found with a breadth-first search - or null when
+    // the reachable part of the level is fully explored
+    findExploreTarget() {
+        const start = `${this.player.x},${this.player.y}`;
+        const visited = new Set([start]);
+        const queue = [{ x: this.player.x, y: this.player.y }];
+        
+        const bordersUnexplored = (x, y) => {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx >= 0 && ny >= 0 && nx < MAP_WIDTH && ny < MAP_HEIGHT && !this.isTileExplored(nx, ny)) {
+                        return true;
+                    }
+                }
+            }
+            return false;
+        };
+        
+        while (queue.length > 0) {
+            const { x, y } = queue.shift();
+            const key = `${x},${y}`;
+            if (key !== start && !this.travel.reached.has(key) && bordersUnexplored(x, y)) return { x, y };
+            
+            for (const [dx, dy] of ROT.DIRS[8]) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const neighbour = `${nx},${ny}`;
+                if (visited.has(neighbour)) continue;
+                visited.add(neighbour);
+                
+                if (this.isTileExplored(nx, ny) && this.isValidMove(nx, ny) && !this.isLevelExit(nx, ny)) {
+                    queue.push({ x: nx, y: ny });
+                }
+            }
+        }
+        
+        return null;
+    }
+    
+    // Tiles in view ("x,y") worth stopping exploration for: items on the
+    // floor, unopened chests and the way down
+    getVisibleFinds() {
+        const finds = [];
+        for (const key of Object.keys(this.visibleTiles)) {
+            const [x, y] = key.split(',').map(Number);
+            const tile = this.map[y] && this.map[y][x];
+            if (!tile) continue;
+            
+            const isExit = this.isLevelExit(x, y) && tile.feature !== 'stairsUp';
+            if ((tile.items && tile.items.length > 0) || tile.feature === 'chest' || isExit) {
+                finds.push(key);
+            }
+        }
+        return finds;
+    }
+    
+    // What the player found on a tile, for the message log
+    describeFind(tile) {
+        if (tile.feature === 'chest') return 'a chest';
+        if (tile.feature === 'stairsDown') return 'the stairs down';
+        if (tile.feature === 'door') return 'the way out';
+        return tile.items.length === 1 ? this.describeItem(tile.items[0]) : 'some items';
+    }
+    
+    // Stairs and the final level's exit door
+    isLevelExit(x, y) {
+        const feature = this.map[y][x].feature;
+        return feature === 'stairsDown' || feature === 'stairsUp' ||
+               (feature === 'door' && this.currentLevel === this.levels.length);
+    }
+    
+    // The player's A* path over explored ground to (x, y), as the steps after
+    // the player's own tile, or null if there isn't one. Stairs and the exit
+    // can only end a path, so travelling never changes level by accident.
+    findTravelPath(x, y) {
+        if (!this.isTileExplored(x, y) || !this.isValidMove(x, y)) return null;
+        
+        const astar = new ROT.Path.AStar(x, y, (tx, ty) => {
+            if ((tx === x && ty === y) || (tx === this.player.x && ty === this.player.y)) return true;
+            return this.isTileExplored(tx, ty) && this.isValidMove(tx, ty) && !this.isLevelExit(tx, ty);
+        }, { topology: 8 });
+        
+        const path = [];
+        astar.compute(this.player.x, this.player.y, (px, py) => path.push({x: px, y: py}));
+        
+        // path[0] is the player's own tile
+        return path.length > 0 ? path.slice(1) : null;
+    }
+    
+    // Monsters the player can currently see
+    getVisibleMonsters() {
+        return this.monsters.filter(m => this.isTileVisible(m.x, m.y));
+    }
+    
+    // Capture everything needed to resume the run later
+    serializeState() {
+        return {
+            version: SAVE_VERSION,
+            seed: this.seed,
+            rngState: ROT.RNG.getState(),
+            currentLevel: this.currentLevel,
+            currentHealth: this.currentHealth,
+            maxHealth: this.maxHealth,
+            playerStats: this.playerStats,
+            playerLevel: this.playerLevel,
+            xp: this.xp,
+            inventory: this.inventory,
+            gold: this.gold,
+            equipment: this.equipment,
+            quests: this.quests,
+            levelCache: this.levelCache,
+            map: this.map,
+            player: this.player,
+            npcs: this.npcs,
+            monsters: this.monsters,
+            exploredTiles: this.exploredTiles,
+            animatedTiles: this.animatedTiles,
+            lightSources: this.lightSources
+        };
+    }
+    
+    // Upgrade a save to SAVE_VERSION one migration at a time
+    migrateSave(data) {
+        // No version means it isn't one of our saves - treated as version 0,
+        // which has no migration
+        let version = typeof data.version === 'number' ? data.version : 0;
+        
+        if (version > SAVE_VERSION) {
+            throw new Error(`save version ${version} is newer than this build (${SAVE_VERSION})`);
+        }
+        
+        while (version < SAVE_VERSION) {
+            const migrate = SAVE_MIGRATIONS[version];
+            if (!migrate) {
+                throw new Error(`no migration from save version ${version}`);
+            }
+            data = migrate(data);
+            version++;
+            data.version = version;
+        }
+        
+        return data;
+    }
+    
+    // Check that a (migrated) save has everything restoreState needs
+    isValidSave(data) {
+        return typeof data.seed === 'string' &&
+               typeof data.currentLevel === 'number' &&
+               data.currentLevel >= 1 && data.currentLevel <= this.levels.length &&
+               typeof data.currentHealth === 'number' &&
+               typeof data.playerLevel === 'number' &&
+               typeof data.xp === 'number' &&
+               Array.isArray(data.inventory) &&
+               data.inventory.every(item => this.itemTypes[item.type]) &&
+               typeof data.gold === 'number' &&
+               data.equipment && EQUIPMENT_SLOTS.every(slot => data.equipment[slot] === null ||
+                   (this.itemTypes[data.equipment[slot].type] && this.itemTypes[data.equipment[slot].type].kind === slot)) &&
+               Array.isArray(data.quests) && data.quests.every(quest => this.content.quests[quest.id]) &&
+               data.player && typeof data.player.x === 'number' && typeof data.player.y === 'number' &&
+               this.isValidSavedLevel(data) &&
+               data.levelCache && typeof data.levelCache === 'object' &&
+               Object.entries(data.levelCache).every(([level, cached]) =>
+                   this.levels[level - 1] && cached && typeof cached === 'object' && this.isValidSavedLevel(cached));
+    }
+    
+    // Check one level of a save - the current one, or one in the level cache
+    // (see storeLevel)
+    isValidSavedLevel(level) {
+        return Array.isArray(level.map) && level.map.length === MAP_HEIGHT &&
+               level.map.every(row => Array.isArray(row) && row.length === MAP_WIDTH) &&
+               Array.isArray(level.npcs) && level.npcs.every(npc => npc && Array.isArray(npc.flags)) &&
+               Array.isArray(level.monsters) &&
+               level.monsters.every(m => m && this.monsterStats[m.type] && typeof m.health === 'number' && typeof m.state === 'string') &&
+               typeof level.exploredTiles === 'object' && level.exploredTiles !== null &&
+               Array.isArray(level.animatedTiles) &&
+               Array.isArray(level.lightSources);
+    }
+    
+    // Resume a run from a loaded save
+    restoreState(state) {
+        this.seed = state.seed;
+        this.currentLevel = state.currentLevel;
+        this.currentHealth = state.currentHealth;
+        this.maxHealth = state.maxHealth;
+        this.playerStats = state.playerStats;
+        this.playerLevel = state.playerLevel;
+        this.xp = state.xp;
+        this.inventory = state.inventory;
+        this.gold = state.gold;
+        this.equipment = state.equipment;
+        this.quests = state.quests;
+        this.levelCache = state.levelCache;
+        this.map = state.map;
+        this.player = state.player;
+        this.npcs = state.npcs;
+        this.monsters = state.monsters;
+        this.exploredTiles = state.exploredTiles;
+        this.animatedTiles = state.animatedTiles;
+        this.lightSources = state.lightSources;
+        this.isDead = false;
+        this.endDialogue();
+        this.closeShop();
+        
+        // Carry on the same random sequence the run had when it was saved
+        if (state.rngState) {
+            ROT.RNG.setState(state.rngState);
+        }
+        
+        this.computeFOV();
+        this.buildScheduler();
+        this.ui.refresh();
+    }
+    
+    // Move the player one step (dx, dy in -1..1), attacking a monster in the way
+    movePlayer(dx, dy) {
+        if (!this.player || this.isDead) return;  // Don't process movement if dead
+        
+        // If no movement, return
+        if (dx === 0 && dy === 0) return;
+        
+        const newX = this.player.x + dx;
+        const newY = this.player.y + dy;
+        
+        // Check for combat
+        const monster = this.monsters.find(m => m.x === newX && m.y === newY);
+        if (monster) {
+            // Player attacks monster
+            this.performAttack(this.player, monster, this.getPlayerStats(), this.getMonsterStats(monster));
+            
+            // Monster counter-attack if still alive (in turn-based mode the
+            // monster answers on its own turn instead)
+            if (monster.health > 0 && this.timeMode !== 'turns') {
+                // Small delay before counter-attack for better visual feedback
+                this.ui.defer(() => {
+                    // Meanwhile the player may have died or left the level,
+                    // or the monster may have been finished off
+                    if (this.isDead || !this.monsters.includes(monster)) return;
+                    
+                    const monsterDamage = this.performAttack(monster, this.player, this.getMonsterStats(monster), this.getPlayerStats());
+                    
+                    // Update player health
+                    this.modifyHealth(-monsterDamage);
+                }, 250);
+            }
+            
+            // Remove monster if dead
+            if (monster.health <= 0) {
+                this.killMonster(monster, this.player);
+            }
+            
+            // Update display
+            this.ui.refresh();
+            this.endPlayerTurn();
+            return;
+        }
+        
+        // Bumping into an NPC starts a conversation instead - except for one
+        // being escorted or a companion, who swaps places so they can't block
+        // a corridor
+        const npc = this.npcs.find(n => n.x === newX && n.y === newY);
+        if (npc && (npc.escorting || npc.follower)) {
+            npc.x = this.player.x;
+            npc.y = this.player.y;
+        } else if (npc) {
+            this.talkTo(npc);
+            return;
+        }
+        
+        // If no combat, proceed with movement
+        if (this.isValidMove(newX, newY)) {
+            // Walking into a closed door opens it
+            const tile = this.map[newY][newX];
+            if (tile.feature === 'doorClosed') {
+                tile.feature = 'doorOpen';
+                this.addMessage('You open the door');
+                this.computeFOV();
+                this.ui.refresh();
+                this.endPlayerTurn();
+                return;
+            }
+            
+            // Check if new position has stairs
+            if (tile && tile.feature === 'stairsDown') {
+                this.goDownstairs();
+                return;
+            }
+            if (tile && tile.feature === 'stairsUp') {
+                this.goUpstairs();
+                return;
+            }
+            
+            // Check if new position has the victory door (on the final level)
+            if (tile && tile.feature === 'door' && this.currentLevel === this.levels.length) {
+                this.playerWon();
+                return;
+            }
+            
+            // Update player position
+            this.player.x = newX;
+            this.player.y = newY;
+            
+            // Compute field of view
+            this.computeFOV();
+            
+            // Update display
+            this.ui.refresh();
+            this.endPlayerTurn();
+        }
+    }
+    
+    isValidMove(x, y) {
+        // Check if the coordinates are within the map bounds
+        if (x < 0 || x >= MAP_WIDTH || y < 0 || y >= MAP_HEIGHT) {
+            return false;
+        }
+        
+        // Check if the tile at the coordinates is passable
+        const tile = this.map[y][x];
+        
+        // If no tile or it's a wall type, it's impassable
+        if (!tile || this.isWallTile(tile.type)) {
+            return false;
+        }
+        
+        // If tile has a feature, check if it's passable
+        if (tile.feature) {
+            const impassableFeatures = ['tree', 'smallTree'];
+            if (impassableFeatures.includes(tile.feature)) {
+                return false;
+            }
+        }
+        
+        // Check for NPCs at the position
+        for (const npc of this.npcs) {
+            if (npc.x === x && npc.y === y) {
+                return false; // Can't walk through NPCs
+            }
+        }
+        
+        return true;
+    }
+    
+    isWallTile(tileType) {
+        return this.wallTiles.has(tileType);
+    }
+    
+    // The tiles named in any level's walls (top, sides and inner)
+    collectWallTiles(levels) {
+        return new Set(levels.flatMap(level => [level.walls.top, level.walls.inner, ...Object.keys(level.walls.sides)]));
+    }
+    
+    // The current level's theme from data/levels.json: its name, which of
+    // this.mapGenerators carves it, how much of the map it covers, and the
+    // wall, floor, NPC and monster types it is made of. Levels are dug out of
+    // solid walls.top; autotileWalls then turns the ones facing a floor below
+    // into one of walls.sides (picked by weight) and buries enclosed rock as
+    // walls.inner.
+    getLevelTheme() {
+        return this.levels[this.currentLevel - 1];
+    }
+    
+    // Level generators. Each one carves a width x height area by calling
+    // dig(x, y) for every floor cell, and returns the rooms it made as
+    // { x1, y1, x2, y2 } (interior, inclusive) so doors can go at their exits.
+    // Caves have no rooms.
+    defineMapGenerators() {
+        this.mapGenerators = {
+            'cellular': (width, height, dig) => {
+                // Grow the automaton over the whole map and cut the level out
+                // of the middle, so the cave isn't thinned out by the map edges
+                const generator = new ROT.Map.Cellular(MAP_WIDTH, MAP_HEIGHT);
+                const offsetX = Math.floor((MAP_WIDTH - width) / 2);
+                const offsetY = Math.floor((MAP_HEIGHT - height) / 2);
+                
+                // Adjust randomization based on depth for variety
+                const wallChance = 0.45 + (this.currentLevel * 0.01); // Slightly increase wall density with depth
+                generator.randomize(wallChance);
+                
+                // Run 4 generations of the automaton
+                for (let i = 0; i < 4; i++) {
+                    generator.create();
+                }
+                
+                // value = 1 for floor, 0 for wall
+                generator.create((x, y, value) => {
+                    const areaX = x - offsetX;
+                    const areaY = y - offsetY;
+                    if (value === 1 && areaX >= 0 && areaY >= 0 && areaX < width && areaY < height) {
+                        dig(areaX, areaY);
+                    }
+                });
+                return [];
+            },
+            
+            'digger': (width, height, dig) => {
+                const generator = new ROT.Map.Digger(width, height, {
+                    roomWidth: [4, 9],
+                    roomHeight: [3, 6],
+                    corridorLength: [2, 6],
+                    dugPercentage: 0.35
+                });
+                
+                // value = 0 for floor, 1 for wall
+                generator.create((x, y, value) => {
+                    if (value === 0) dig(x, y);
+                });
+                return generator.getRooms().map(room => this.toRoomBounds(room));
+            },
+            
+            'uniform': (width, height, dig) => {
+                const generator = new ROT.Map.Uniform(width, height, {
+                    roomWidth: [4, 8],
+                    roomHeight: [4, 6],
+                    roomDugPercentage: 0.3
+                });
+                
+                generator.create((x, y, value) => {
+                    if (value === 0) dig(x, y);
+                });
+                return generator.getRooms().map(room => this.toRoomBounds(room));
+            },
+            
+            'bsp': (width, height, dig) => this.generateBSP(width, height, dig)
+        };
+    }
+    
+    toRoomBounds(room) {
+        return { x1: room.getLeft(), y1: room.getTop(), x2: room.getRight(), y2: room.getBottom() };
+    }
+    
+    // Binary space partitioning: keep cutting the area in two, put a room in
+    // each final piece and join the two halves of every cut with a corridor
+    generateBSP(width, height, dig) {
+        const MIN_LEAF = 9; // Smallest piece of the area that still gets cut
+        const rooms = [];
+        
+        const carveRoom = (room) => {
+            for (let y = room.y1; y <= room.y2; y++) {
+                for (let x = room.x1; x <= room.x2; x++) {
+                    dig(x, y);
+                }
+            }
+        };
+        
+        // L-shaped corridor between the centres of two rooms
+        const carveCorridor = (a, b) => {
+            const ax = Math.floor((a.x1 + a.x2) / 2);
+            const ay = Math.floor((a.y1 + a.y2) / 2);
+            const bx = Math.floor((b.x1 + b.x2) / 2);
+            const by = Math.floor((b.y1 + b.y2) / 2);
+            
+            // Turn the corner at (ax, by) or (bx, ay)
+            const cornerX = ROT.RNG.getUniform() < 0.5 ? ax : bx;
+            const cornerY = cornerX === ax ? by : ay;
+            
+            for (let x = Math.min(ax, bx); x <= Math.max(ax, bx); x++) dig(x, cornerY);
+            for (let y = Math.min(ay, by); y <= Math.max(ay, by); y++) dig(cornerX, y);
+        };
+        
+        // Returns one of the rooms in this piece, for the parent to connect to
+        const split = (x, y, w, h) => {
+            const canCutX = w >= MIN_LEAF * 2;
+            const canCutY = h >= MIN_LEAF * 2;
+            
+            if (!canCutX && !canCutY) {
+                // Leaf - a room with at least a one tile wall all round
+                const roomWidth = ROT.RNG.getUniformInt(Math.max(3, Math.floor(w / 2)), w - 2);
+                const roomHeight = ROT.RNG.getUniformInt(Math.max(3, Math.floor(h / 2)), h - 2);
+                const roomX = x + ROT.RNG.getUniformInt(1, w - roomWidth - 1);
+                const roomY = y + ROT.RNG.getUniformInt(1, h - roomHeight - 1);
+                
+                const room = { x1: roomX, y1: roomY, x2: roomX + roomWidth - 1, y2: roomY + roomHeight - 1 };
+                carveRoom(room);
+                rooms.push(room);
+                return room;
+            }
+            
+            // Cut across the longer side
+            let a, b;
+            if (canCutX && (!canCutY || w >= h)) {
+                const cut = ROT.RNG.getUniformInt(MIN_LEAF, w - MIN_LEAF);
+                a = split(x, y, cut, h);
+                b = split(x + cut, y, w - cut, h);
+            } else {
+                const cut = ROT.RNG.getUniformInt(MIN_LEAF, h - MIN_LEAF);
+                a = split(x, y, w, cut);
+                b = split(x, y + cut, w, h - cut);
+            }
+            
+            carveCorridor(a, b);
+            return ROT.RNG.getItem([a, b]);
+        };
+        
+        split(0, 0, width, height);
+        return rooms;
+    }
+    
+    generateMap() {
+        const theme = this.getLevelTheme();
+        const wallType = theme.walls.top;
+        const floorTypes = theme.floors;
+        
+        // Start from solid rock. tempMap tracks walls (1) and floor (0) for the
+        // connectivity check.
+        this.map = new Array(MAP_HEIGHT);
+        const tempMap = new Array(MAP_HEIGHT);
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            this.map[y] = new Array(MAP_WIDTH);
+            tempMap[y] = new Array(MAP_WIDTH);
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                this.map[y][x] = { type: wallType };
+                tempMap[y][x] = 1;
+            }
+        }
+        
+        // The theme's size is the fraction of the full map the level covers
+        // (early levels are smaller)
+        const effectiveWidth = Math.floor(MAP_WIDTH * theme.size);
+        const effectiveHeight = Math.floor(MAP_HEIGHT * theme.size);
+        const marginX = Math.floor((MAP_WIDTH - effectiveWidth) / 2);
+        const marginY = Math.floor((MAP_HEIGHT - effectiveHeight) / 2);
+        
+        // Let the level's generator carve out the floor, centred on the map
+        const dig = (x, y) => {
+            const mapX = marginX + x;
+            const mapY = marginY + y;
+            if (tempMap[mapY][mapX] === 0) return;
+            
+            tempMap[mapY][mapX] = 0;
+            this.map[mapY][mapX] = { type: ROT.RNG.getItem(floorTypes) };
+        };
+        const rooms = this.mapGenerators[theme.generator](effectiveWidth, effectiveHeight, dig)
+            .map(room => ({ x1: room.x1 + marginX, y1: room.y1 + marginY, x2: room.x2 + marginX, y2: room.y2 + marginY }));
+        
+        // Find all connected floor regions
+        const regions = this.findConnectedRegions(tempMap);
+        
+        // Sort regions by size (largest first)
+        regions.sort((a, b) => b.length - a.length);
+        
+        // Make sure there's at least one region
+        if (regions.length === 0) {
+            console.error("No floor regions found, regenerating map...");
+            return this.generateMap(); // Recursively try again
+        }
+        
+        // Keep only the largest region, fill others with walls. Whatever the
+        // generator, everything left is reachable from everywhere else.
+        const largestRegion = new Set(regions[0].map(pos => `${pos.x},${pos.y}`));
+        
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                // If not in largest region and not a wall, convert to wall
+                if (tempMap[y][x] === 0 && !largestRegion.has(`${x},${y}`)) {
+                    tempMap[y][x] = 1;
+                    this.map[y][x] = { type: wallType };
+                }
+            }
+        }
+        
+        this.placeDoors(rooms);
+        this.placeVaults();
+        
+        // Add stairs down on levels 1-4, or victory door on level 5
+        if (this.currentLevel < this.levels.length) {
+            this.placeFeatureOnEmptyFloor('stairsDown');
+        } else {
+            // On the final level, place a victory door instead of stairs
+            this.placeFeatureOnEmptyFloor('door');
+        }
+        
+        this.autotileWalls();
+    }
+    
+    // Pick each wall's sprite from its neighbours: a side face where there is
+    // floor just below, solid inner rock where every neighbour is wall (the
+    // map edge counts as wall), and the top of the wall everywhere else.
+    autotileWalls() {
+        const wallTypes = this.getLevelTheme().walls;
+        const isWall = (x, y) => x < 0 || y < 0 || x >= MAP_WIDTH || y >= MAP_HEIGHT ||
+            this.isWallTile(this.map[y][x].type);
+        
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (!isWall(x, y)) continue;
+                
+                let type = wallTypes.inner;
+                if (!isWall(x, y + 1)) {
+                    type = ROT.RNG.getWeightedValue(wallTypes.sides);
+                } else {
+                    for (let dy = -1; dy <= 1 && type === wallTypes.inner; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            if (!isWall(x + dx, y + dy)) {
+                                type = wallTypes.top;
+                                break;
+                            }
+                        }
+                    }
+                }
+                
+                this.map[y][x].type = type;
+            }
+        }
+    }
+    
+    // Hand-made set pieces stamped into the generated levels. Each vault is
+    // drawn as rows of text, one character per tile; the legend says what each
+    // character means:
+    //   tile    - a tile name from the tileset ('wall' and 'floor' use the level's own)
+    //   feature - a feature drawn on top ('chest' gets rolled loot)
+    //   monster - a monster type from monsterStats, standing on the tile
+    //   npc     - an NPC type
+    //   item    - an item type lying on the floor
+    //   firepit - a burning firepit
+    // Spaces leave the generated map alone, so vaults can have ragged edges.
+    // A vault only appears from minLevel down.
+    defineVaults() {
+        // Characters every vault can use; a vault's own legend adds to these
+        this.vaultLegend = {
+            '#': { tile: 'wall' },
+            '.': { tile: 'floor' },
+            '+': { tile: 'floor', feature: 'doorClosed' },
+            'C': { tile: 'floor', feature: 'chest' },
+            'F': { tile: 'floor', firepit: true }
+        };
+        
+        this.vaults = [
+            {
+                name: 'Shrine',
+                minLevel: 1,
+                rows: [
+                    '###.###',
+                    '#.....#',
+                    '#.jPj.#',
+                    '.......',
+                    '#..p..#',
+                    '#.....#',
+                    '###.###'
+                ],
+                legend: {
+                    'P': { tile: 'floor', feature: 'pentagram' },
+                    'j': { tile: 'floor', feature: 'jar' },
+                    'p': { tile: 'floor', npc: 'priest' }
+                }
+            },
+            {
+                name: 'Goblin Camp',
+                minLevel: 2,
+                rows: [
+                    '  .....  ',
+                    ' .g...b. ',
+                    '..l..a..g',
+                    '...gFg...',
+                    '..b.....l',
+                    ' .g...C. ',
+                    '  .....  '
+                ],
+                legend: {
+                    'g': { tile: 'floor', monster: 'goblin' },
+                    'a': { tile: 'floor', monster: 'goblinArcher' },
+                    'b': { tile: 'floor', feature: 'barrel' },
+                    'l': { tile: 'floor', feature: 'logPile' }
+                }
+            },
+            {
+                name: 'Crypt',
+                minLevel: 3,
+                rows: [
+                    '#########',
+                    '#S..C..S#',
+                    '#...R...#',
+                    '#c.c.c.c#',
+                    '#...k...#',
+                    '#c.c.c.c#',
+                    '#x.....x#',
+                    '####+####'
+                ],
+                legend: {
+                    'S': { tile: 'floor', feature: 'sarcophagus' },
+                    'c': { tile: 'floor', feature: 'coffin' },
+                    'x': { tile: 'floor', feature: 'bones', monster: 'skeleton' },
+                    'k': { tile: 'floor', monster: 'skeleton' },
+                    'R': { tile: 'floor', item: 'ancientRelic' }
+                }
+            }
+        ];
+    }
+    
+    // Stamp a few vaults into the level where they fit
+    placeVaults() {
+        // Monsters, NPCs and firepits to add once the level is populated
+        this.vaultSpawns = [];
+        
+        const candidates = ROT.RNG.shuffle(this.vaults.filter(vault => vault.minLevel <= this.currentLevel));
+        const count = this.currentLevel >= 3 ? 2 : 1;
+        
+        // Floor tiles to centre vaults on
+        const floorTiles = [];
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (!this.isWallTile(this.map[y][x].type)) floorTiles.push({x, y});
+            }
+        }
+        
+        for (const vault of candidates.slice(0, count)) {
+            const width = vault.rows[0].length;
+            const height = vault.rows.length;
+            
+            // Try a handful of spots before giving up on this vault
+            for (let attempt = 0; attempt < 40; attempt++) {
+                const centre = ROT.RNG.getItem(floorTiles);
+                const x = centre.x - Math.floor(width / 2);
+                const y = centre.y - Math.floor(height / 2);
+                if (x < 1 || y < 1 || x + width >= MAP_WIDTH || y + height >= MAP_HEIGHT) continue;
+                
+                if (this.tryPlaceVault(vault, x, y)) break;
+            }
+        }
+    }
+    
+    // Stamp a vault with its top-left corner at (left, top) if the spot is
+    // largely open floor, clear of features and other vaults, and the level
+    // stays fully connected. Returns false (leaving the map as it was) if not.
+    tryPlaceVault(vault, left, top) {
+        const legend = { ...this.vaultLegend, ...vault.legend };
+        
+        // Check the footprint
+        let cells = 0;
+        let openCells = 0;
+        for (let dy = 0; dy < vault.rows.length; dy++) {
+            for (let dx = 0; dx < vault.rows[dy].length; dx++) {
+                if (vault.rows[dy][dx] === ' ') continue;
+                
+                const tile = this.map[top + dy][left + dx];
+                if (tile.feature || tile.vault) return false;
+                
+                cells++;
+                if (!this.isWallTile(tile.type)) openCells++;
+            }
+        }
+        if (openCells < cells / 3) return false;
+        
+        // Stamp it, keeping the old tiles in case it has to come out again
+        const floorTypes = this.getLevelTheme().floors;
+        const replaced = [];
+        const spawns = [];
+        for (let dy = 0; dy < vault.rows.length; dy++) {
+            for (let dx = 0; dx < vault.rows[dy].length; dx++) {
+                const char = vault.rows[dy][dx];
+                if (char === ' ') continue;
+                
+                const entry = legend[char];
+                const x = left + dx;
+                const y = top + dy;
+                replaced.push({ x, y, tile: this.map[y][x] });
+                
+                let type = entry.tile;
+                if (type === 'wall') type = this.getLevelTheme().walls.top;
+                if (type === 'floor') type = ROT.RNG.getItem(floorTypes);
+                
+                const tile = { type, vault: vault.name };
+                if (entry.feature) tile.feature = entry.feature;
+                if (entry.item) tile.items = [{ type: entry.item, quantity: 1 }];
+                this.map[y][x] = tile;
+                
+                if (entry.monster) spawns.push({ x, y, monster: entry.monster });
+                if (entry.npc) spawns.push({ x, y, npc: entry.npc });
+                if (entry.firepit) spawns.push({ x, y, firepit: true });
+            }
+        }
+        
+        // The vault's walls mustn't cut anything off
+        const tempMap = this.map.map(row => row.map(tile => (this.isWallTile(tile.type) ? 1 : 0)));
+        if (this.findConnectedRegions(tempMap).length !== 1) {
+            for (const { x, y, tile } of replaced) {
+                this.map[y][x] = tile;
+            }
+            return false;
+        }
+        
+        // Fill its chests
+        for (const { x, y } of replaced) {
+            if (this.map[y][x].feature === 'chest') {
+                this.map[y][x].contents = this.rollLoot();
+            }
+        }
+        
+        this.vaultSpawns.push(...spawns);
+        return true;
+    }
+    
+    // Add the vaults' monsters, NPCs and firepits to the populated level
+    placeVaultSpawns() {
+        for (const spawn of this.vaultSpawns) {
+            const { x, y } = spawn;
+            
+            if (spawn.firepit) {
+                this.addFirepit(x, y);
+                continue;
+            }
+            
+            // Something may already be standing there
+            if ((this.player.x === x && this.player.y === y) ||
+                this.npcs.some(npc => npc.x === x && npc.y === y) ||
+                this.monsters.some(m => m.x === x && m.y === y)) continue;
+            
+            if (spawn.monster) {
+                this.monsters.push(this.createMonster(spawn.monster, x, y));
+            } else if (!this.wouldCutOffLevel(x, y)) {
+                // Like any NPC, only where it leaves the way through clear
+                this.npcs.push(this.createNpc(spawn.npc, x, y));
+            }
+        }
+    }
+    
+    // Hang a door in every narrow exit out of a room. About a third are left open.
+    placeDoors(rooms) {
+        for (const room of rooms) {
+            for (let y = room.y1 - 1; y <= room.y2 + 1; y++) {
+                for (let x = room.x1 - 1; x <= room.x2 + 1; x++) {
+                    // Only the ring just outside the room
+                    const onRing = x === room.x1 - 1 || x === room.x2 + 1 || y === room.y1 - 1 || y === room.y2 + 1;
+                    if (!onRing || !this.isDoorway(x, y) || this.map[y][x].feature) continue;
+                    
+                    // One door is enough for a short passage between two rooms
+                    if ([[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dx, dy]) => this.isDoorFeature(this.map[y + dy][x + dx].feature))) continue;
+                    
+                    this.map[y][x].feature = ROT.RNG.getUniform() < 0.33 ? 'doorOpen' : 'doorClosed';
+                }
+            }
+        }
+    }
+    
+    isDoorFeature(feature) {
+        return feature === 'doorClosed' || feature === 'doorOpen';
+    }
+    
+    // A floor tile squeezed between two walls, with floor either side of the gap
+    isDoorway(x, y) {
+        if (x <= 0 || y <= 0 || x >= MAP_WIDTH - 1 || y >= MAP_HEIGHT - 1) return false;
+        if (this.isWallTile(this.map[y][x].type)) return false;
+        
+        const wall = (dx, dy) => this.isWallTile(this.map[y + dy][x + dx].type);
+        return (wall(-1, 0) && wall(1, 0) && !wall(0, -1) && !wall(0, 1)) ||
+               (wall(0, -1) && wall(0, 1) && !wall(-1, 0) && !wall(1, 0));
+    }
+    
+    findConnectedRegions(tempMap) {
+        const regions = [];
+        const visited = new Set();
+        
+        // Search through all tiles
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                const key = `${x},${y}`;
+                
+                // Skip if already visited or if it's a wall (1)
+                if (visited.has(key) || tempMap[y][x] === 1) {
+                    continue;
+                }
+                
+                // Found an unvisited floor tile, flood fill from here
+                const region = this.floodFill(tempMap, x, y, visited);
+                regions.push(region);
+            }
+        }
+        
+        return regions;
+    }
+    
+    floodFill(tempMap, startX, startY, visited) {
+        const region = [];
+        const queue = [{x: startX, y: startY}];
+        
+        while (queue.length > 0) {
+            const {x, y} = queue.shift();
+            const key = `${x},${y}`;
+            
+            // Skip if already visited
+            if (visited.has(key)) continue;
+            
+            // Add to visited set
+            visited.add(key);
+            region.push({x, y});
+            
+            // Check all 4 neighbors
+            const neighbors = [
+                {x: x-1, y: y},
+                {x: x+1, y: y},
+                {x: x, y: y-1},
+                {x: x, y: y+1}
+            ];
+            
+            for (const neighbor of neighbors) {
+                const nx = neighbor.x;
+                const ny = neighbor.y;
+                const neighborKey = `${nx},${ny}`;
+                
+                // Skip if out of bounds, already visited, or a wall (1)
+                if (nx < 0 || ny < 0 || nx >= MAP_WIDTH || ny >= MAP_HEIGHT || 
+                    visited.has(neighborKey) || tempMap[ny][nx] === 1) {
+                    continue;
+                }
+                
+                queue.push(neighbor);
+            }
+        }
+        
+        return region;
+    }
+    
+    placeFeatureOnEmptyFloor(featureType) {
+        // Get all available floor tiles with no features, outside the vaults
+        // (their layout is authored, and the stairs don't belong in a crypt)
+        const availableTiles = [];
+        
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (this.map[y][x] && 
+                    !this.isWallTile(this.map[y][x].type) && 
+                    !this.map[y][x].feature &&
+                    !this.map[y][x].vault) {
+                    availableTiles.push({x, y});
+                }
+            }
+        }
+        
+        // If there are available tiles, place the feature on a random one
+        if (availableTiles.length > 0) {
+            const {x, y} = ROT.RNG.getItem(availableTiles);
+            this.map[y][x].feature = featureType;
+            return {x, y};
+        }
+        
+        return null;
+    }
+    
+    placeFeatureOnSpecificFloor(featureType, validFloorTypes) {
+        // Get all available floor tiles of the specified types with no features
+        const availableTiles = [];
+        
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (this.map[y][x] && 
+                    validFloorTypes.includes(this.map[y][x].type) && 
+                    !this.map[y][x].feature) {
+                    availableTiles.push({x, y});
+                }
+            }
+        }
+        
+        // If there are available tiles, place the feature on a random one
+        if (availableTiles.length > 0) {
+            const {x, y} = ROT.RNG.getItem(availableTiles);
+            this.map[y][x].feature = featureType;
+            return true;
+        }
+        
+        return false;
+    }
+    
+    // Scatter closed chests, each filled from the loot table when it's placed
+    placeChests() {
+        // More chests on deeper levels
+        const numChests = 2 + Math.floor(this.currentLevel / 2);
+        
+        for (let i = 0; i < numChests; i++) {
+            const position = this.placeFeatureOnEmptyFloor('chest');
+            if (!position) break;
+            
+            this.map[position.y][position.x].contents = this.rollLoot();
+        }
+    }
+    
+    // Roll a chest's contents for the current level: some gold plus a few items,
+    // with deeper levels adding better items to the table and more rolls
+    rollLoot() {
+        const loot = [{ type: 'gold', quantity: ROT.RNG.getUniformInt(5, 15) * this.currentLevel }];
+        
+        const weights = {};
+        for (const entry of this.lootTable) {
+            if (entry.minLevel <= this.currentLevel) {
+                weights[entry.item] = entry.weight;
+            }
+        }
+        
+        const rolls = 1 + Math.floor(this.currentLevel / 2);
+        for (let i = 0; i < rolls; i++) {
+            loot.push({ type: ROT.RNG.getWeightedValue(weights), quantity: 1 });
+        }
+        
+        return loot;
+    }
+    
+    placeCharacters() {
+        // Empty the NPCs array
+        this.npcs = [];
+        
+        // Characters to use for NPCs come from the level theme
+        const npcTypes = this.getLevelTheme().npcs;
+        
+        // Place player character at the center of the map
+        const centerX = Math.floor(MAP_WIDTH / 2);
+        const centerY = Math.floor(MAP_HEIGHT / 2);
+        
+        // Find the nearest valid position to the center
+        let playerX = centerX;
+        let playerY = centerY;
+        let searchRadius = 0;
+        let playerPlaced = false;
+        
+        while (!playerPlaced && searchRadius < Math.max(MAP_WIDTH, MAP_HEIGHT)) {
+            for (let dy = -searchRadius; dy <= searchRadius; dy++) {
+                for (let dx = -searchRadius; dx <= searchRadius; dx++) {
+                    const x = centerX + dx;
+                    const y = centerY + dy;
+                    
+                    // Keep clear of features (the up staircase goes here) and vaults
+                    if (this.isValidMove(x, y) && !this.map[y][x].feature && !this.map[y][x].vault) {
+                        playerX = x;
+                        playerY = y;
+                        playerPlaced = true;
+                        break;
+                    }
+                }
+                if (playerPlaced) break;
+            }
+            searchRadius++;
+        }
+        
+        if (playerPlaced) {
+            this.player = {
+                x: playerX,
+                y: playerY,
+                type: 'rogue' // Player is a rogue
+            };
+            
+            // Below the first level, the player arrives on the way back up
+            if (this.currentLevel > 1) {
+                this.map[playerY][playerX].feature = 'stairsUp';
+            }
+        } else {
+            // This shouldn't happen with our improved map generation, but just in case
+            console.error("No valid position found for player placement.");
+            return;
+        }
+        
+        // Place NPCs (fewer NPCs at deeper levels)
+        const numNPCs = Math.max(2, 7 - this.currentLevel);
+        
+        for (let i = 0; i < numNPCs; i++) {
+            // Get available positions (no player, no other NPCs, valid move)
+            const availableForNPC = [];
+            for (let y = 0; y < MAP_HEIGHT; y++) {
+                for (let x = 0; x < MAP_WIDTH; x++) {
+                    // Check if position is valid for an NPC
+                    if (this.isValidMove(x, y) && 
+                        !(this.player.x === x && this.player.y === y) &&
+                        !this.npcs.some(npc => npc.x === x && npc.y === y)) {
+                        availableForNPC.push({x, y});
+                    }
+                }
+            }
+            
+            // Choose a random position that leaves the way through clear
+            // (NPCs never move) and NPC type. If there's none, stop adding NPCs
+            const randomPos = this.pickNpcSpot(availableForNPC);
+            if (!randomPos) break;
+            const npcType = ROT.RNG.getItem(npcTypes);
+            
+            // Add NPC to the list
+            this.npcs.push(this.createNpc(npcType, randomPos.x, randomPos.y));
+        }
+    }
+    
+    // A random one of the spots where an NPC wouldn't cut part of the level
+    // off, or null if none of the first few tried will do
+    pickNpcSpot(spots) {
+        return ROT.RNG.shuffle(spots).slice(0, 20).find(spot => !this.wouldCutOffLevel(spot.x, spot.y)) || null;
+    }
+    
+    // Would something that never moves, standing at (x, y), split the
+    // walkable part of the level into more pieces than it has now? Corridors
+    // are one tile wide, so an NPC in one could block the way to the stairs.
+    wouldCutOffLevel(x, y) {
+        const tempMap = this.map.map((row, ty) => row.map((tile, tx) => (this.isValidMove(tx, ty) ? 0 : 1)));
+        const before = this.findConnectedRegions(tempMap).length;
+        tempMap[y][x] = 1;
+        return this.findConnectedRegions(tempMap).length > before;
+    }
+    
+    placeMonsters() {
+        // Clear existing monsters
+        this.monsters = [];
+        
+        // Number of monsters increases with depth
+        const numMonsters = BASE_MONSTERS + Math.floor(this.currentLevel * 1.5);
+        
+        // Each level theme has its own monster pool
+        const monsterPool = this.getLevelTheme().monsters;
+        
+        // Calculate monster density based on actual available floor space
+        let floorTileCount = 0;
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (this.isValidMove(x, y)) {
+                    floorTileCount++;
+                }
+            }
+        }
+        
+        // Adjust monster count based on available floor space
+        // Ensure reasonable density regardless of map size
+        const adjustedNumMonsters = Math.min(
+            numMonsters, 
+            Math.floor(floorTileCount * 0.1) // Max 10% of floor tiles have monsters
+        );
+        
+        for (let i = 0; i < adjustedNumMonsters; i++) {
+            // Get available positions (no player, no NPCs, no other monsters, valid move)
+            const availableSpots = [];
+            for (let y = 0; y < MAP_HEIGHT; y++) {
+                for (let x = 0; x < MAP_WIDTH; x++) {
+                    if (this.isValidMove(x, y) && 
+                        !(this.player.x === x && this.player.y === y) &&
+                        !this.npcs.some(npc => npc.x === x && npc.y === y) &&
+                        !this.monsters.some(monster => monster.x === x && monster.y === y) &&
+                        !(this.map[y][x].feature === 'stairsDown') &&
+                        !(this.map[y][x].feature === 'stairsUp') &&
+                        !(this.map[y][x].feature === 'door')) {  // Don't block stairs or victory door with monsters
+                        availableSpots.push({x, y});
+                    }
+                }
+            }
+            
+            if (availableSpots.length === 0) break;
+            
+            const spot = ROT.RNG.getItem(availableSpots);
+            const monsterType = ROT.RNG.getItem(monsterPool);
+            
+            this.monsters.push(this.createMonster(monsterType, spot.x, spot.y));
+        }
+    }
+    
+    // Every level has a shopkeeper somewhere, with a stock rolled for its depth.
+    // The stock belongs to the NPC, so it stays as the player left it for as
+    // long as the level does.
+    placeShopkeeper() {
+        const spots = [];
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (this.isValidMove(x, y) &&
+                    !this.map[y][x].feature && !this.map[y][x].vault &&
+                    !(this.player.x === x && this.player.y === y) &&
+                    !this.npcs.some(npc => npc.x === x && npc.y === y)) {
+                    spots.push({ x, y });
+                }
+            }
+        }
+        
+        // Shopkeepers never move, so keep them out of the way
+        const spot = this.pickNpcSpot(spots);
+        if (!spot) return;
+        
+        const shopkeeper = this.createNpc('shopkeep', spot.x, spot.y);
+        shopkeeper.stock = this.rollShopStock();
+        this.npcs.push(shopkeeper);
+    }
+    
+    // A shop's wares for the current level: always some healing potions, plus
+    // rolls on the chest loot table - more of them deeper down, and leaning
+    // towards the items that only turn up that deep
+    rollShopStock() {
+        const stock = [{ type: 'healingPotion', quantity: ROT.RNG.getUniformInt(2, 4) }];
+        
+        const weights = {};
+        for (const entry of this.lootTable) {
+            if (entry.minLevel <= this.currentLevel) {
+                weights[entry.item] = entry.weight * entry.minLevel;
+            }
+        }
+        
+        const rolls = 3 + this.currentLevel;
+        for (let i = 0; i < rolls; i++) {
+            this.addToStock(stock, { type: ROT.RNG.getWeightedValue(weights), quantity: 1 });
+        }
+        
+        return stock;
+    }
+    
+    // Add items to a shop's stock, on top of any of the same type
+    addToStock(stock, item) {
+        const existing = stock.find(i => i.type === item.type);
+        if (existing) {
+            existing.quantity += item.quantity;
+        } else {
+            stock.push({ type: item.type, quantity: item.quantity });
+        }
+    }
+    
+    // An NPC of the given type, who hasn't talked to the player yet
+    createNpc(type, x, y) {
+        return {
+            x,
+            y,
+            type,
+            flags: [] // Set by dialogue effects, e.g. once a gift has been given
+        };
+    }
+    
+    // A fresh monster of the given type, at full health
+    createMonster(type, x, y) {
+        return {
+            x,
+            y,
+            type,
+            health: this.monsterStats[type].health,
+            maxHealth: this.monsterStats[type].health,
+            lastMoveTime: 0,
+            state: 'idle',              // idle, hunting, searching or fleeing
+            lastKnownPlayerPos: null,   // Where the monster last saw the player
+            searchTurns: 0,             // Turns left searching (or fleeing) with the player out of sight
+            spellCooldown: 0,           // Turns until a caster can cast again
+            summonCount: 0,             // How many monsters this caster has summoned
+            summoned: false             // Summoned monsters give no experience
+        };
+    }
+    
+    // Take a slain monster off the level. The player earns its experience
+    // and gold whoever struck the last blow.
+    killMonster(monster, killer) {
+        this.monsters = this.monsters.filter(m => m !== monster);
+        this.removeMonsterActor(monster);
+        this.ui.onMonsterKilled(monster);
+        if (killer === this.player) {
+            this.addMessage(`You kill the ${this.getMonsterName(monster)}`, 'kill');
+        } else {
+            this.addMessage(`Your ${this.getNpcName(killer)} kills the ${this.getMonsterName(monster)}`, 'kill');
+        }
+        if (!monster.summoned) {
+            this.gainXp(this.monsterStats[monster.type].xp);
+            this.dropGold(monster);
+        }
+        this.postEvent('kill', { monster, killer });
+    }
+    
+    // Real-time mode: called by the UI's monster clock, every monster and
+    // companion acts once
+    moveMonsters() {
+        if (!this.player) return;
+        
+        // For real-time movement, we now use the interval timer instead of random chance
+        // So every monster will attempt to move each time this is called
+        this.monsters.forEach(monster => this.moveMonster(monster));
+        this.moveFollowers(true);
+    }
+    
+    // Take one action for a monster. Monsters only notice the player (or a
+    // companion) with a clear line of sight and remember where they last saw them:
+    //   idle      - wander about
+    //   hunting   - the player is in sight; chase them with A* and attack
+    //   searching - the player slipped away; go to the last known position and look around
+    //   fleeing   - badly hurt; run away, and only fight back when cornered
+    moveMonster(monster) {
+        // Nothing left to fight once the player has died
+        if (this.isDead) return;
+        
+        if (monster.spellCooldown > 0) {
+            monster.spellCooldown--;
+        }
+        
+        // Whoever it goes for, the player or a companion
+        const target = this.chooseMonsterTarget(monster);
+        const canSee = target !== null;
+        if (canSee) {
+            monster.lastKnownPlayerPos = { x: target.x, y: target.y };
+        }
+        
+        this.updateMonsterState(monster, canSee);
+        
+        const isAdjacent = canSee &&
+                           Math.abs(monster.x - target.x) <= 1 &&
+                           Math.abs(monster.y - target.y) <= 1;
+        
+        switch (monster.state) {
+            case 'hunting': {
+                // Archers and casters fight from a distance when they can
+                const behaviour = this.monsterStats[monster.type].behaviour;
+                if (behaviour.kind !== 'melee' && this.actAtRange(monster, behaviour, isAdjacent, target)) break;
+                
+                if (isAdjacent) {
+                    this.monsterAttack(monster, target);
+                } else {
+                    this.stepMonsterTowards(monster, target.x, target.y);
+                }
+                break;
+            }
+            
+            case 'searching': {
+                const target = monster.lastKnownPlayerPos;
+                if (monster.x === target.x && monster.y === target.y) {
+                    // Reached the spot - look around it
+                    this.stepMonsterRandomly(monster);
+                } else if (!this.stepMonsterTowards(monster, target.x, target.y)) {
+                    // Can't get there (blocked or unreachable) - give up sooner
+                    monster.searchTurns = Math.min(monster.searchTurns, 1);
+                }
+                monster.searchTurns--;
+                break;
+            }
+            
+            case 'fleeing':
+                // Out of sight, it keeps running from the player
+                if (!this.stepMonsterAway(monster, target || this.player) && isAdjacent) {
+                    // Cornered
+                    this.monsterAttack(monster, target);
+                }
+                break;
+            
+            default:
+                this.stepMonsterRandomly(monster);
+        }
+    }
+    
+    updateMonsterState(monster, canSee) {
+        const isHurt = monster.health / monster.maxHealth < MONSTER_FLEE_HEALTH &&
+                       !this.monsterStats[monster.type].fearless;
+        
+        if (isHurt && (canSee || monster.state === 'fleeing')) {
+            // Keep running until the player has been out of sight for a while
+            if (canSee) {
+                monster.searchTurns = MONSTER_SEARCH_TURNS;
+                monster.state = 'fleeing';
+            } else if (--monster.searchTurns <= 0) {
+                monster.state = 'idle';
+            }
+        } else if (canSee) {
+            monster.state = 'hunting';
+        } else if (monster.state === 'hunting') {
+            monster.state = 'searching';
+            monster.searchTurns = MONSTER_SEARCH_TURNS;
+        } else if (monster.state === 'searching' && monster.searchTurns <= 0) {
+            monster.state = 'idle';
+            monster.lastKnownPlayerPos = null;
+        }
+    }
+    
+    // Take a ranged or caster monster's turn while it can see its target.
+    // Returns false if it should fall back to melee or close in instead.
+    actAtRange(monster, behaviour, isAdjacent, target) {
+        const distance = Math.max(Math.abs(monster.x - target.x), Math.abs(monster.y - target.y));
+        
+        // Too close for comfort - back off if there's room
+        if (distance < behaviour.keepAway && this.stepMonsterAway(monster, target)) return true;
+        
+        if (behaviour.kind === 'caster') {
+            if (this.castSpell(monster, behaviour, distance, target)) return true;
+        } else if (distance <= behaviour.range && this.hasLineOfFire(monster, target)) {
+            this.shootProjectile(monster, behaviour.projectile, this.getMonsterStats(monster), target);
+            return true;
+        }
+        
+        // Cornered - fight hand to hand
+        if (isAdjacent) return false;
+        
+        // A caster waiting on its cooldown holds its ground while it has a shot
+        return distance <= behaviour.range && this.hasLineOfFire(monster, target);
+    }
+    
+    shootProjectile(monster, kind, stats, target) {
+        this.ui.onProjectile(this.getLine(monster.x, monster.y, target.x, target.y), kind);
+        
+        const damage = this.performAttack(monster, target, stats, this.getTargetStats(target));
+        this.damageTarget(target, damage);
+    }
+    
+    // Cast the first spell on the caster's list that makes sense right now.
+    // Returns true if a spell was cast.
+    castSpell(monster, behaviour, distance, target) {
+        if (monster.spellCooldown > 0) return false;
+        
+        for (const spellName of behaviour.spells) {
+            const spell = this.spells[spellName];
+            
+            switch (spellName) {
+                case 'healAlly': {
+                    // Patch up the most badly hurt ally in sight
+                    const allies = this.monsters.filter(m => m !== monster &&
+                        m.health < m.maxHealth / 2 &&
+                        Math.max(Math.abs(m.x - monster.x), Math.abs(m.y - monster.y)) <= behaviour.range &&
+                        this.hasLineOfFire(monster, m));
+                    if (allies.length === 0) continue;
+                    
+                    const ally = allies.reduce((a, b) => (a.health / a.maxHealth <= b.health / b.maxHealth ? a : b));
+                    ally.health = Math.min(ally.maxHealth, ally.health + spell.heal);
+                    this.ui.onSpellCast(monster, spellName, ally);
+                    this.logSpell(monster, `heals the ${this.getMonsterName(ally)}`);
+                    break;
+                }
+                
+                case 'summon': {
+                    if (monster.summonCount >= spell.maxSummons || ROT.RNG.getUniform() >= spell.chance) continue;
+                    
+                    const spots = [];
+                    for (let dy = -1; dy <= 1; dy++) {
+                        for (let dx = -1; dx <= 1; dx++) {
+                            if (this.isFreeForMonster(monster.x + dx, monster.y + dy)) {
+                                spots.push({ x: monster.x + dx, y: monster.y + dy });
+                            }
+                        }
+                    }
+                    if (spots.length === 0) continue;
+                    
+                    const spot = ROT.RNG.getItem(spots);
+                    const summoned = this.createMonster(behaviour.summons, spot.x, spot.y);
+                    summoned.summoned = true;
+                    summoned.state = 'hunting';
+                    summoned.lastKnownPlayerPos = { x: this.player.x, y: this.player.y };
+                    this.monsters.push(summoned);
+                    if (this.timeMode === 'turns') {
+                        this.addMonsterActor(summoned);
+                    }
+                    
+                    monster.summonCount++;
+                    this.ui.onSpellCast(monster, spellName, summoned);
+                    this.logSpell(monster, `summons a ${this.getMonsterName(summoned)}!`);
+                    break;
+                }
+                
+                case 'firebolt':
+                    if (distance > behaviour.range || !this.hasLineOfFire(monster, target)) continue;
+                    
+                    this.ui.onSpellCast(monster, spellName, target);
+                    this.logSpell(monster, 'hurls a firebolt');
+                    this.shootProjectile(monster, 'firebolt', { ...this.getMonsterStats(monster), damage: spell.damage }, target);
+                    break;
+                
+                default:
+                    continue;
+            }
+            
+            monster.spellCooldown = spell.cooldown;
+            return true;
+        }
+        
+        return false;
+    }
+    
+    // The tiles on a straight line from (x0, y0) to (x1, y1), both ends included (Bresenham)
+    getLine(x0, y0, x1, y1) {
+        const line = [];
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0;
+        let y = y0;
+        
+        while (true) {
+            line.push({x, y});
+            if (x === x1 && y === y1) break;
+            
+            const e2 = 2 * err;
+            if (e2 >= dy) {
+                err += dy;
+                x += sx;
+            }
+            if (e2 <= dx) {
+                err += dx;
+                y += sy;
+            }
+        }
+        
+        return line;
+    }
+    
+    // Message-log line for a spell, if the player can see the caster
+    logSpell(caster, action) {
+        if (this.isTileVisible(caster.x, caster.y)) {
+            this.addMessage(`The ${this.getMonsterName(caster)} ${action}`, 'magic');
+        }
+    }
+    
+    // Can a projectile fly from one entity to another? Walls and other
+    // monsters in between block the shot.
+    hasLineOfFire(from, to) {
+        const line = this.getLine(from.x, from.y, to.x, to.y);
+        return line.slice(1, -1).every(({x, y}) =>
+            this.isTransparent(x, y) && !this.monsters.some(m => m.x === x && m.y === y));
+    }
+    
+    monsterAttack(monster, target) {
+        const damage = this.performAttack(monster, target, this.getMonsterStats(monster), this.getTargetStats(target));
+        this.damageTarget(target, damage);
+    }
+    
+    // The stat block of whoever a monster attacks, the player or a companion
+    getTargetStats(target) {
+        return target === this.player ? this.getPlayerStats() : this.getFollowerStats(target);
+    }
+    
+    // Apply a monster's hit: the player's health goes through modifyHealth,
+    // a companion's was already taken off by performAttack
+    damageTarget(target, damage) {
+        if (target === this.player) {
+            this.modifyHealth(-damage);
+        } else if (target.health <= 0) {
+            this.loseFollower(target);
+        }
+    }
+    
+    // Who the monster goes for: the nearest of the player and their
+    // companions that it can see, or null. Uses the same shadowcasting as the
+    // player's field of view, so walls block sight both ways.
+    chooseMonsterTarget(monster) {
+        const distance = (entity) => (entity.x - monster.x) ** 2 + (entity.y - monster.y) ** 2;
+        const inRange = [this.player, ...this.npcs.filter(n => n.follower)]
+            .filter(entity => distance(entity) <= MONSTER_SIGHT_RADIUS * MONSTER_SIGHT_RADIUS);
+        if (inRange.length === 0) return null;
+        
+        const seen = new Set();
+        const fov = new ROT.FOV.PreciseShadowcasting((x, y) => this.isTransparent(x, y));
+        fov.compute(monster.x, monster.y, MONSTER_SIGHT_RADIUS, (x, y) => {
+            inRange.filter(entity => entity.x === x && entity.y === y).forEach(entity => seen.add(entity));
+        });
+        
+        // On a tie the player, first in the list, wins
+        return inRange.filter(entity => seen.has(entity))
+            .reduce((nearest, entity) => (nearest && distance(nearest) <= distance(entity) ? nearest : entity), null);
+    }
+    
+    // Is a tile free for a monster to step onto?
+    isFreeForMonster(x, y) {
+        return this.isValidMove(x, y) &&
+               !(this.player.x === x && this.player.y === y) &&
+               !this.monsters.some(m => m.x === x && m.y === y);
+    }
+    
+    // Take one step along the A* path to (targetX, targetY).
+    // Returns false if there's no path or the next step is blocked.
+    stepMonsterTowards(monster, targetX, targetY) {
+        // Other monsters don't block the path itself, so a crowd queues up
+        // behind the one in front instead of wandering off. The target may be
+        // a companion, who stands on a tile nobody can walk onto.
+        const astar = new ROT.Path.AStar(targetX, targetY, (x, y) => {
+            return (x === monster.x && y === monster.y) || this.isValidMove(x, y) || (x === targetX && y === targetY);
+        }, { topology: 4 });
+        
+        const path = [];
+        astar.compute(monster.x, monster.y, (x, y) => path.push({x, y}));
+        
+        // path[0] is the monster's own tile
+        const next = path[1];
+        if (!next || !this.isFreeForMonster(next.x, next.y)) return false;
+        
+        this.moveMonsterTo(monster, next.x, next.y);
+        return true;
+    }
+    
+    // Step to the neighbouring tile that gets furthest from the threat (the
+    // player or a companion). Returns false if every way out leads closer.
+    stepMonsterAway(monster, threat) {
+        const distanceFromThreat = (x, y) => (x - threat.x) ** 2 + (y - threat.y) ** 2;
+        
+        let best = null;
+        let bestDistance = distanceFromThreat(monster.x, monster.y);
+        for (const [dx, dy] of [[-1, 0], [1, 0], [0, -1], [0, 1]]) {
+            const x = monster.x + dx;
+            const y = monster.y + dy;
+            if (this.isFreeForMonster(x, y) && distanceFromThreat(x, y) > bestDistance) {
+                best = {x, y};
+                bestDistance = distanceFromThreat(x, y);
+            }
+        }
+        
+        if (!best) return false;
+        
+        this.moveMonsterTo(monster, best.x, best.y);
+        return true;
+    }
+    
+    stepMonsterRandomly(monster) {
+        const direction = ROT.RNG.getItem([
+            {x: -1, y: 0},
+            {x: 1, y: 0},
+            {x: 0, y: -1},
+            {x: 0, y: 1}
+        ]);
+        
+        const newX = monster.x + direction.x;
+        const newY = monster.y + direction.y;
+        if (this.isFreeForMonster(newX, newY)) {
+            this.moveMonsterTo(monster, newX, newY);
+        }
+    }
+    
+    // Monsters open closed doors as they walk through them
+    moveMonsterTo(monster, x, y) {
+        monster.x = x;
+        monster.y = y;
+        
+        if (this.map[y][x].feature === 'doorClosed') {
+            this.map[y][x].feature = 'doorOpen';
+            this.computeFOV(); // The player may see through it now
+        }
+    }
+    
+    goDownstairs() {
+        // Anyone being escorted who's right behind the player made it too
+        for (const npc of this.npcs.filter(n => n.escorting)) {
+            if (Math.max(Math.abs(npc.x - this.player.x), Math.abs(npc.y - this.player.y)) <= 1) {
+                this.postEvent('escortArrived', { npc });
+            }
+        }
+        const party = this.takeFollowers();
+        this.storeLevel();
+        
+        // Increment level counter
+        this.currentLevel++;
+        
+        if (this.levelCache[this.currentLevel]) {
+            // Been here before - pick up where we left off, on the up staircase
+            this.loadLevel('stairsUp');
+        } else {
+            // Generate the new level (map, player, NPCs, firepit and monsters)
+            this.generateLevel();
+        }
+        this.placeFollowers(party);
+        
+        this.addMessage(`You descend to ${this.getLevelTheme().name}`, 'travel');
+        this.enterLevel();
+    }
+    
+    goUpstairs() {
+        const party = this.takeFollowers();
+        this.storeLevel();
+        
+        this.currentLevel--;
+        
+        // Levels above are always cached - we came down from them
+        this.loadLevel('stairsDown');
+        this.placeFollowers(party);
+        
+        this.addMessage(`You climb back up to ${this.getLevelTheme().name}`, 'travel');
+        this.enterLevel();
+    }
+    
+    // Take the companions following close behind off the level, to come
+    // along to the next one. Those told to stay, or too far back, stay put.
+    takeFollowers() {
+        const party = this.npcs.filter(n => n.follower && n.order !== 'stay' &&
+            Math.max(Math.abs(n.x - this.player.x), Math.abs(n.y - this.player.y)) <= 2);
+        this.npcs = this.npcs.filter(n => !party.includes(n));
+        return party;
+    }
+    
+    // Put companions down on the free tiles nearest the player, once they've
+    // arrived on a level
+    placeFollowers(party) {
+        for (const npc of party) {
+            const spot = this.findFreeTileNear(this.player.x, this.player.y) || this.player;
+            npc.x = spot.x;
+            npc.y = spot.y;
+            this.npcs.push(npc);
+        }
+    }
+    
+    // The nearest tile to (x, y) a monster or NPC could stand on, searching
+    // outwards ring by ring, or null if there's none close by
+    findFreeTileNear(x, y) {
+        for (let radius = 1; radius <= 5; radius++) {
+            const ring = [];
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) === radius && this.isFreeForMonster(x + dx, y + dy)) {
+                        ring.push({ x: x + dx, y: y + dy });
+                    }
+                }
+            }
+            if (ring.length > 0) return ROT.RNG.getItem(ring);
+        }
+        return null;
+    }
+    
+    // Put the current level in the cache as it is now
+    storeLevel() {
+        this.levelCache[this.currentLevel] = {
+            map: this.map,
+            npcs: this.npcs,
+            monsters: this.monsters,
+            exploredTiles: this.exploredTiles,
+            animatedTiles: this.animatedTiles,
+            lightSources: this.lightSources
+        };
+    }
+    
+    // Bring the current level back from the cache, with the player standing
+    // on the staircase with the given feature
+    loadLevel(arrivalFeature) {
+        const level = this.levelCache[this.currentLevel];
+        delete this.levelCache[this.currentLevel];
+        
+        this.map = level.map;
+        this.npcs = level.npcs;
+        this.monsters = level.monsters;
+        this.exploredTiles = level.exploredTiles;
+        this.animatedTiles = level.animatedTiles;
+        this.lightSources = level.lightSources;
+        
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (this.map[y][x].feature === arrivalFeature) {
+                    this.player.x = x;
+                    this.player.y = y;
+                }
+            }
+        }
+        
+        this.buildScheduler();
+    }
+    
+    // Show the level the player just arrived on
+    enterLevel() {
+        this.stopTravel();
+        this.postEvent('levelChange', { level: this.currentLevel });
+        
+        // Calculate field of view for new level
+        this.computeFOV();
+        
+        // Draw the new level
+        this.ui.refresh();
+        
+        // Let the UI announce (and autosave) the new level
+        this.ui.onLevelEntered();
+    }
+
+    // Add method to modify health
+    modifyHealth(amount) {
+        // Ensure health stays within bounds
+        const newHealth = Math.max(0, Math.min(this.maxHealth, this.currentHealth + amount));
+        if (isNaN(newHealth)) {
+            console.error("Invalid health modification");
+            return;
+        }
+        this.currentHealth = newHealth;
+        
+        // Add red flash effect if taking damage, and stop travelling
+        if (amount < 0) {
+            this.stopTravel();
+            this.ui.onPlayerDamaged(amount);
+        }
+        
+        this.ui.refresh();
+        
+        // Check for player death
+        if (this.currentHealth <= 0) {
+            this.playerDied();
+        }
+    }
+    
+    // Handle player death
+    playerDied() {
+        // Several monsters can land a killing blow in the same tick - only die once
+        if (this.isDead) return;
+        
+        // Set the death flag
+        this.isDead = true;
+        
+        this.addMessage('You die...', 'danger');
+        this.ui.onPlayerDied();
+    }
+    
+    // Light (and sight) passes through anything that can be walked on, except closed doors
+    isTransparent(x, y) {
+        if (this.isValidMove(x, y) && this.map[y][x].feature === 'doorClosed') return false;
+        
+        return this.isValidMove(x, y) || 
+               (x >= 0 && y >= 0 && x < MAP_WIDTH && y < MAP_HEIGHT && this.map[y][x] === 'door');
+    }
+    
+    computeFOV() {
+        if (!this.player) return;
+        
+        // Clear previous FOV data
+        this.visibleTiles = {};
+        
+        // Calculate player's field of view
+        const fov = new ROT.FOV.PreciseShadowcasting((x, y) => this.isTransparent(x, y));
+        
+        // Process player's FOV
+        fov.compute(this.player.x, this.player.y, FOV_RADIUS, (x, y, r, visibility) => {
+            // Mark tile as visible with a visibility value based on distance
+            const key = `${x},${y}`;
+            // Calculate distance from player
+            const dx = x - this.player.x;
+            const dy = y - this.player.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            // Calculate visibility based on distance (closer = brighter)
+            const maxDistance = FOV_RADIUS;
+            const normalizedDistance = Math.min(distance / maxDistance, 1);
+            // More dramatic falloff: cubic for even sharper darkness at edges
+            const visibilityValue = Math.pow(1 - (normalizedDistance * 0.6), 3); // Brighter near player, sharper falloff
+            
+            this.visibleTiles[key] = Math.min(1, visibilityValue * 1.5); // Boost visibility in FOV
+            
+            // Also mark as explored with a much lower visibility
+            if (!this.exploredTiles[key]) {
+                this.exploredTiles[key] = 0;
+            }
+        });
+        
+        // Process light sources FOV - now independent of player's FOV
+        for (const light of this.lightSources) {
+            // Use diagonal light pattern instead of circular
+            this.computeLightSourceFOV(light);
+        }
+    }
+    
+    // Compute FOV for a light source with diagonal preference
+    computeLightSourceFOV(light) {
+        if (!light) return;
+        
+        const fov = new ROT.FOV.PreciseShadowcasting((x, y) => this.isTransparent(x, y));
+        
+        // Process light source FOV
+        fov.compute(light.x, light.y, light.radius, (x, y, r, visibility) => {
+            // Skip positions outside the map
+            if (x < 0 || y < 0 || x >= MAP_WIDTH || y >= MAP_HEIGHT) return;
+            
+            const key = `${x},${y}`;
+            
+            // Calculate distance (with diagonal preference)
+            const dx = Math.abs(x - light.x);
+            const dy = Math.abs(y - light.y);
+            const distance = Math.sqrt(dx*dx + dy*dy) * 0.7 + (dx + dy) * 0.3;
+            
+            // Calculate visibility with flicker
+            const normalizedDistance = Math.min(distance / light.radius, 1);
+            // Exponential falloff
+            const baseVisibility = Math.pow(1 - normalizedDistance, 2);
+            // Apply current flicker intensity
+            const flickeredVisibility = baseVisibility * light.currentIntensity;
+            
+            // Always show tiles lit by firepit, even if not explored
+            this.exploredTiles[key] = Math.max(this.exploredTiles[key] || 0, flickeredVisibility * 0.3);
+            
+            // Update visibility
+            const existingVisibility = this.visibleTiles[key] || 0;
+            this.visibleTiles[key] = Math.max(existingVisibility, flickeredVisibility);
+        });
+    }
+    
+    // Place firepits near spawn points
+    placeFirepits() {
+        // Clear existing animated tiles and light sources
+        this.animatedTiles = [];
+        this.lightSources = [];
+        
+        // Find the stairs location
+        let stairsX = -1;
+        let stairsY = -1;
+        
+        // Search for stairs or victory door
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                const tile = this.map[y][x];
+                if (tile && (tile.feature === 'stairsDown' || (this.currentLevel === this.levels.length && tile.feature === 'door'))) {
+                    stairsX = x;
+                    stairsY = y;
+                    break;
+                }
+            }
+            if (stairsX !== -1) break;
+        }
+        
+        // If we found stairs/door, place firepit nearby
+        if (stairsX !== -1 && stairsY !== -1) {
+            // Find valid floor tiles around the stairs
+            const candidatePositions = [];
+            
+            // Check positions in a radius of 2 around stairs
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    // Skip the stairs position and diagonal positions
+                    if ((dx === 0 && dy === 0) || (Math.abs(dx) === Math.abs(dy) && Math.abs(dx) === 2)) continue;
+                    
+                    const x = stairsX + dx;
+                    const y = stairsY + dy;
+                    
+                    // Make sure position is valid and is a floor tile
+                    if (x >= 0 && x < MAP_WIDTH && y >= 0 && y < MAP_HEIGHT && 
+                        this.isValidMove(x, y) && 
+                        !this.npcs.some(npc => npc.x === x && npc.y === y) &&
+                        !this.monsters.some(monster => monster.x === x && monster.y === y)) {
+                        
+                        candidatePositions.push({x, y});
+                    }
+                }
+            }
+            
+            // If we have valid positions, place a firepit at one of them
+            if (candidatePositions.length > 0) {
+                const position = ROT.RNG.getItem(candidatePositions);
+                this.addFirepit(position.x, position.y);
+            }
+        }
+    }
+    
+    // A burning firepit: an animated tile that is also a light source
+    addFirepit(x, y) {
+        // Create the firepit
+        const firepit = {
+            x,
+            y,
+            type: 'firepit',
+            animationStartTime: Date.now() + Math.random() * this.animatedTileTypes.firepit.frameDuration
+        };
+        
+        // Add to animated tiles
+        this.animatedTiles.push(firepit);
+        
+        // Create light source
+        const lightSource = {
+            x,
+            y,
+            type: 'firepit',
+            baseIntensity: this.animatedTileTypes.firepit.lightIntensity,
+            currentIntensity: this.animatedTileTypes.firepit.lightIntensity,
+            radius: this.animatedTileTypes.firepit.lightRadius
+        };
+        
+        // Add to light sources
+        this.lightSources.push(lightSource);
+    }
+
+    // Add combat methods
+    // Resolve one attack between two entities using their stat blocks
+    // ({ damage: [min, max], accuracy, critChance, defense }). Returns the
+    // damage dealt - 0 on a miss. Monsters lose health here; the caller applies
+    // damage to the player through modifyHealth.
+    performAttack(attacker, target, attackerStats, targetStats) {
+        // Roll to hit
+        if (ROT.RNG.getUniform() >= attackerStats.accuracy) {
+            this.ui.onAttack(attacker, target, 0, false);
+            this.logAttack(attacker, target, 0, false);
+            return 0;
+        }
+        
+        // Calculate damage (random between min and max)
+        const [minDamage, maxDamage] = attackerStats.damage;
+        let damage = ROT.RNG.getUniformInt(minDamage, maxDamage);
+        
+        // Double damage on critical hit
+        const isCritical = ROT.RNG.getUniform() < attackerStats.critChance;
+        if (isCritical) {
+            damage = Math.floor(damage * 2);
+        }
+        
+        // Armor soaks up part of the hit, but a hit always does at least 1
+        damage = Math.max(1, damage - targetStats.defense);
+        
+        // Apply damage
+        if (target !== this.player) {
+            target.health = Math.max(0, target.health - damage);
+        }
+        
+        // Show the attack (animation, damage number, health bars)
+        this.ui.onAttack(attacker, target, damage, isCritical);
+        this.logAttack(attacker, target, damage, isCritical);
+        
+        return damage;
+    }
+    
+    // Message-log line for an attack between the player or a companion and
+    // a monster. Fights the player can't see aren't logged.
+    logAttack(attacker, target, damage, isCritical) {
+        const isPlayer = attacker === this.player;
+        if (!isPlayer && target !== this.player && !this.isTileVisible(attacker.x, attacker.y)) return;
+        
+        const name = (entity) => {
+            if (entity === this.player) return 'you';
+            return entity.follower ? `your ${this.getNpcName(entity)}` : `the ${this.getMonsterName(entity)}`;
+        };
+        const attackerName = name(attacker);
+        const verb = damage === 0 ? (isPlayer ? 'miss' : 'misses') :
+            `${isCritical ? 'critically ' : ''}${isPlayer ? 'hit' : 'hits'}`;
+        const amount = damage === 0 ? '' : ` for ${damage}${isCritical ? '!' : ''}`;
+        
+        // Hits on the player or a companion are bad news
+        const category = damage > 0 && (target === this.player || target.follower) ? 'danger' : 'combat';
+        this.addMessage(`${attackerName[0].toUpperCase()}${attackerName.slice(1)} ${verb} ${name(target)}${amount}`, category);
+    }
+    
+    // The player's stat block: base stats plus everything equipped. A weapon
+    // replaces the unarmed damage range; all other bonuses add up.
+    getPlayerStats() {
+        const { damageBonus, ...stats } = this.playerStats;
+        
+        for (const slot of EQUIPMENT_SLOTS) {
+            const item = this.equipment[slot];
+            if (!item) continue;
+            
+            const itemType = this.itemTypes[item.type];
+            if (itemType.damage) stats.damage = itemType.damage;
+            stats.accuracy += itemType.accuracy || 0;
+            stats.critChance += itemType.critChance || 0;
+            stats.defense += itemType.defense || 0;
+        }
+        
+        stats.damage = [stats.damage[0] + damageBonus, stats.damage[1] + damageBonus];
+        
+        return stats;
+    }
+    
+    // Experience needed to go from the current character level to the next
+    getXpToNextLevel() {
+        return this.playerLevel * 50;
+    }
+    
+    gainXp(amount) {
+        this.xp += amount;
+        this.ui.onXpGained(amount);
+        
+        // A big kill can be worth more than one level
+        while (this.xp >= this.getXpToNextLevel()) {
+            this.xp -= this.getXpToNextLevel();
+            this.levelUp();
+        }
+        
+        this.ui.refresh();
+    }
+    
+    // Monsters that carry gold (a gold range in data/monsters.json) drop it where they fall
+    dropGold(monster) {
+        const range = this.monsterStats[monster.type].gold;
+        if (!range) return;
+        
+        const quantity = ROT.RNG.getUniformInt(range[0], range[1]);
+        if (quantity <= 0) return;
+        
+        const tile = this.map[monster.y][monster.x];
+        tile.items = (tile.items || []).concat({ type: 'gold', quantity });
+    }
+    
+    // Every character level makes the player a bit tougher and deadlier
+    levelUp() {
+        this.playerLevel++;
+        
+        this.maxHealth += 10;
+        this.currentHealth += 10;
+        this.playerStats.damageBonus += 1;
+        this.playerStats.accuracy += 0.01;
+        this.playerStats.critChance += 0.01;
+        
+        // Toughen up every third level
+        if (this.playerLevel % 3 === 0) {
+            this.playerStats.defense += 1;
+        }
+        
+        this.ui.onPlayerLevelUp(this.playerLevel);
+        this.addMessage(`You reach level ${this.playerLevel}!`, 'progress');
+    }
+    
+    getMonsterStats(monster) {
+        const { damage, accuracy, defense } = this.monsterStats[monster.type];
+        return { damage, accuracy, critChance: 0.1, defense };
+    }
+    
+    // A companion's stat block, from data/companions.json
+    getFollowerStats(npc) {
+        const { damage, accuracy, defense } = this.content.companions[npc.type];
+        return { damage, accuracy, critChance: 0.1, defense };
+    }
+    
+    // Define the items that can be found, carried and used
+    defineItemTypes() {
+        // kind decides what using the item does; stackable items share one inventory slot;
+        // value is what shops charge for it (see getBuyPrice and getSellPrice)
+        this.itemTypes = {
+            // Potions
+            'healingPotion': { name: 'Healing Potion', kind: 'potion', icon: '🧪', value: 20, stackable: true, heal: 25 },
+            'greaterHealingPotion': { name: 'Greater Healing Potion', kind: 'potion', icon: '⚗️', value: 50, stackable: true, heal: 60 },
+            
+            // Scrolls
+            'scrollOfMapping': { name: 'Scroll of Mapping', kind: 'scroll', icon: '📜', value: 30, stackable: true, effect: 'mapping' },
+            'scrollOfTeleport': { name: 'Scroll of Teleportation', kind: 'scroll', icon: '📜', value: 25, stackable: true, effect: 'teleport' },
+            
+            // Weapons (equipped in the weapon slot; damage replaces the unarmed range)
+            'dagger': { name: 'Dagger', kind: 'weapon', icon: '🗡️', value: 15, damage: [4, 9], accuracy: 0.05, critChance: 0.1 },
+            'shortSword': { name: 'Short Sword', kind: 'weapon', icon: '🗡️', value: 40, damage: [6, 11], accuracy: 0.05 },
+            'longSword': { name: 'Long Sword', kind: 'weapon', icon: '⚔️', value: 80, damage: [8, 14] },
+            'battleAxe': { name: 'Battle Axe', kind: 'weapon', icon: '🪓', value: 140, damage: [10, 18], accuracy: -0.1, critChance: 0.05 },
+            
+            // Armor
+            'leatherArmor': { name: 'Leather Armor', kind: 'armor', icon: '🥋', value: 25, defense: 1 },
+            'chainMail': { name: 'Chain Mail', kind: 'armor', icon: '🦺', value: 70, defense: 3 },
+            'plateArmor': { name: 'Plate Armor', kind: 'armor', icon: '🛡️', value: 150, defense: 5, accuracy: -0.05 },
+            
+            // Shields
+            'buckler': { name: 'Buckler', kind: 'shield', icon: '🛡️', value: 20, defense: 1 },
+            'towerShield': { name: 'Tower Shield', kind: 'shield', icon: '🛡️', value: 70, defense: 3, accuracy: -0.1 },
+            
+            // Rings
+            'ringOfAccuracy': { name: 'Ring of Accuracy', kind: 'ring', icon: '💍', value: 100, accuracy: 0.1 },
+            'ringOfFury': { name: 'Ring of Fury', kind: 'ring', icon: '💍', value: 120, critChance: 0.15 },
+            'ringOfProtection': { name: 'Ring of Protection', kind: 'ring', icon: '💍', value: 110, defense: 2 },
+            
+            // Treasure is only good for selling (or a quest)
+            'ancientRelic': { name: 'Ancient Relic', kind: 'treasure', icon: '🏺', value: 60 },
+            
+            // Gold goes straight into the purse instead of an inventory slot
+            'gold': { name: 'Gold', kind: 'gold', icon: '💰' }
+        };
+    }
+    
+    // Chest loot: an item can drop from minLevel down, weights are relative
+    defineLootTable() {
+        this.lootTable = [
+            { item: 'healingPotion', weight: 10, minLevel: 1 },
+            { item: 'scrollOfMapping', weight: 4, minLevel: 1 },
+            { item: 'dagger', weight: 3, minLevel: 1 },
+            { item: 'leatherArmor', weight: 3, minLevel: 1 },
+            { item: 'buckler', weight: 2, minLevel: 1 },
+            { item: 'scrollOfTeleport', weight: 4, minLevel: 2 },
+            { item: 'shortSword', weight: 3, minLevel: 2 },
+            { item: 'ringOfAccuracy', weight: 1, minLevel: 2 },
+            { item: 'greaterHealingPotion', weight: 5, minLevel: 3 },
+            { item: 'chainMail', weight: 2, minLevel: 3 },
+            { item: 'longSword', weight: 2, minLevel: 3 },
+            { item: 'towerShield', weight: 1, minLevel: 3 },
+            { item: 'ringOfFury', weight: 1, minLevel: 3 },
+            { item: 'plateArmor', weight: 1, minLevel: 4 },
+            { item: 'ringOfProtection', weight: 1, minLevel: 4 },
+            { item: 'battleAxe', weight: 1, minLevel: 5 }
+        ];
+    }
+    
+    getItemName(item) {
+        const name = this.itemTypes[item.type].name;
+        return item.quantity > 1 ? `${name} x${item.quantity}` : name;
+    }
+    
+    // An item as it reads in a message: "a Dagger", "Healing Potion x2", "30 gold"
+    describeItem(item) {
+        if (item.type === 'gold') return `${item.quantity} gold`;
+        if (item.quantity > 1) return this.getItemName(item);
+        
+        const name = this.itemTypes[item.type].name;
+        return `${/^[AEIOU]/.test(name) ? 'an' : 'a'} ${name}`;
+    }
+    
+    // Start a conversation with an NPC, from their dialogue tree in
+    // data/dialogue.json. The UI shows it through onDialogue and answers
+    // with chooseDialogueOption.
+    talkTo(npc) {
+        const characters = this.content.dialogue.characters;
+        const character = characters[npc.type] || characters.default;
+        
+        this.stopTravel();
+        this.dialogue = {
+            npc,
+            tree: npc.follower ? 'companion' : character.tree,
+            node: 'start',
+            greeting: ROT.RNG.getItem(character.greetings)
+        };
+        this.ui.onDialogue(this.getDialogue());
+    }
+    
+    // What the UI shows of the conversation, or null if there isn't one:
+    // { speaker, npcType, text: [paragraphs], choices: [{ index, text }] }.
+    // Only the choices whose conditions hold are offered; if none do, a
+    // goodbye (index -1) is.
+    getDialogue() {
+        if (!this.dialogue) return null;
+        
+        const { npc, tree, node, greeting } = this.dialogue;
+        const current = this.content.dialogue.trees[tree][node];
+        const choices = current.choices
+            .map((choice, index) => ({ index, text: choice.text, conditions: choice.if }))
+            .filter(choice => this.meetsDialogueConditions(choice.conditions, npc))
+            .map(({ index, text }) => ({ index, text }));
+        
+        return {
+            speaker: this.getNpcName(npc),
+            npcType: npc.type,
+            text: [greeting, current.text].filter(Boolean),
+            choices: choices.length > 0 ? choices : [{ index: -1, text: 'Goodbye.' }]
+        };
+    }
+    
+    // Answer with one of the current node's choices (by its index): apply its
+    // effects, then move on to its next node or end the conversation
+    chooseDialogueOption(index) {
+        if (!this.dialogue) return;
+        
+        const { npc, tree, node } = this.dialogue;
+        const choice = this.content.dialogue.trees[tree][node].choices[index];
+        if (index === -1 || !choice) {
+            this.endDialogue();
+            return;
+        }
+        if (!this.meetsDialogueConditions(choice.if, npc)) return;
+        
+        this.applyDialogueEffects(choice.effects || {}, npc);
+        
+        if (choice.next) {
+            this.dialogue.node = choice.next;
+            this.dialogue.greeting = null; // Only said when the conversation opens
+            this.ui.onDialogue(this.getDialogue());
+        } else {
+            this.endDialogue();
+        }
+        this.ui.refresh();
+    }
+    
+    endDialogue() {
+        if (!this.dialogue) return;
+        
+        this.dialogue = null;
+        this.ui.onDialogue(null);
+    }
+    
+    // Do the game state and the NPC pass a choice's conditions (see
+    // DIALOGUE_CONDITIONS_SCHEMA)? No conditions always pass.
+    meetsDialogueConditions(conditions = {}, npc) {
+        const has = (field) => conditions[field] !== undefined;
+        
+        return (!has('minLevel') || this.currentLevel >= conditions.minLevel) &&
+               (!has('maxLevel') || this.currentLevel <= conditions.maxLevel) &&
+               (!has('healthBelow') || this.currentHealth < this.maxHealth * conditions.healthBelow) &&
+               (!has('hasItem') || this.inventory.some(item => item.type === conditions.hasItem)) &&
+               (!has('minGold') || this.gold >= conditions.minGold) &&
+               (!has('maxGold') || this.gold <= conditions.maxGold) &&
+               (!has('flag') || npc.flags.includes(conditions.flag)) &&
+               (!has('notFlag') || !npc.flags.includes(conditions.notFlag)) &&
+               (!has('quest') || this.quests.some(quest => quest.id === conditions.quest)) &&
+               (!has('notQuest') || !this.quests.some(quest => quest.id === conditions.notQuest)) &&
+               (!has('levelHasVault') || this.map.some(row => row.some(tile => tile.vault === conditions.levelHasVault))) &&
+               (!has('partyFull') || (this.countFollowers() >= MAX_FOLLOWERS) === conditions.partyFull);
+    }
+    
+    // Carry out a dialogue choice's effects (see DIALOGUE_EFFECTS_SCHEMA)
+    applyDialogueEffects(effects, npc) {
+        const speaker = this.getNpcName(npc);
+        
+        if (effects.takeItem) {
+            const index = this.inventory.findIndex(item => item.type === effects.takeItem);
+            if (index !== -1) {
+                const item = this.inventory[index];
+                item.quantity--;
+                if (item.quantity <= 0) this.inventory.splice(index, 1);
+                this.addMessage(`You hand over the ${this.itemTypes[effects.takeItem].name}`, 'loot');
+            }
+        }
+        
+        if (effects.gold) {
+            this.gold = Math.max(0, this.gold + effects.gold);
+            this.addMessage(effects.gold > 0 ? `You receive ${effects.gold} gold` : `You pay ${-effects.gold} gold`, 'loot');
+        }
+        
+        if (effects.giveItem) {
+            const item = { type: effects.giveItem, quantity: 1 };
+            this.addMessage(`The ${speaker} gives you ${this.describeItem(item)}`, 'loot');
+            this.receiveItem(item);
+        }
+        
+        if (effects.heal) {
+            this.addMessage('You feel better', 'progress');
+            this.modifyHealth(effects.heal);
+        }
+        
+        if (effects.revealStairs) {
+            this.revealStairs();
+            this.addMessage(`The ${speaker} shows you the way down`, 'travel');
+        }
+        
+        if (effects.openShop) {
+            this.openShop(npc);
+        }
+        
+        if (effects.startQuest) {
+            this.startQuest(effects.startQuest, npc);
+        }
+        
+        if (effects.recruit) {
+            this.recruit(npc);
+        }
+        
+        if (effects.order) {
+            npc.order = effects.order;
+            const replies = { follow: 'will follow you', stay: 'will wait here', flee: 'will keep out of the fighting' };
+            this.addMessage(`Your ${speaker} ${replies[effects.order]}`);
+        }
+        
+        if (effects.dismiss) {
+            npc.follower = false;
+            this.addMessage(`The ${speaker} leaves your side`);
+        }
+        
+        if (effects.setFlag && !npc.flags.includes(effects.setFlag)) {
+            npc.flags.push(effects.setFlag);
+        }
+    }
+    
+    // Mark the stairs down (or the exit on the last level) and the tiles
+    // around them on the player's map, dimly remembered like a mapping scroll
+    revealStairs() {
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                if (!this.isLevelExit(x, y) || this.map[y][x].feature === 'stairsUp') continue;
+                
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        const key = `${x + dx},${y + dy}`;
+                        this.exploredTiles[key] = Math.max(this.exploredTiles[key] || 0, 0.3);
+                    }
+                }
+            }
+        }
+    }
+    
+    // Put a gift or reward in the pack - or, if the pack is full, at the
+    // player's feet
+    receiveItem(item) {
+        if (this.addToInventory(item)) return;
+        
+        const tile = this.map[this.player.y][this.player.x];
+        tile.items = (tile.items || []).concat(item);
+        this.addMessage('Your pack is full, so it goes on the floor', 'loot');
+    }
+    
+    // The central feed of things that happen in the game, for whatever keeps
+    // track of them (quest objectives, for one). Listeners get { type, ...details }:
+    //   kill          - { monster, killer }, killed by the player or one of their companions
+    //   pickup        - { item }, picked up off the floor
+    //   levelChange   - { level }, the player arrived on another dungeon level
+    //   escortArrived - { npc }, an escorted NPC reached the stairs down
+    postEvent(type, details = {}) {
+        const event = { type, ...details };
+        for (const listener of this.eventListeners) {
+            listener(event);
+        }
+    }
+    
+    addEventListener(listener) {
+        this.eventListeners.push(listener);
+    }
+    
+    // Take on a quest from data/quests.json, given by an NPC. An escort
+    // quest's NPC starts following the player (see moveEscorts).
+    startQuest(id, npc) {
+        if (this.quests.some(quest => quest.id === id)) return;
+        
+        const quest = { id, status: 'active', level: this.currentLevel, progress: 0 };
+        this.quests.push(quest);
+        this.addMessage(`New quest: ${this.content.quests[id].title}`, 'progress');
+        
+        if (this.content.quests[id].objective.kind === 'escort') {
+            npc.escorting = id;
+        }
+        
+        // The player may already have done what's asked (a relic in the pack)
+        this.updateQuests({ type: 'questStarted' });
+    }
+    
+    // Move active quests on with an event from the feed, and finish the ones
+    // whose objective is met
+    updateQuests(event) {
+        for (const quest of this.quests) {
+            if (quest.status !== 'active') continue;
+            
+            const { title, objective } = this.content.quests[quest.id];
+            let done = false;
+            
+            if (objective.kind === 'kill') {
+                // A companion's kill is as good as the player's
+                if (event.type === 'kill' && !event.monster.summoned && this.currentLevel === quest.level &&
+                    objective.monsters.includes(event.monster.type)) {
+                    quest.progress++;
+                    if (quest.progress < objective.count) {
+                        this.addMessage(`${title}: ${quest.progress} of ${objective.count}`, 'progress');
+                    }
+                }
+                done = quest.progress >= objective.count;
+            } else if (objective.kind === 'retrieve') {
+                done = this.inventory.some(item => item.type === objective.item);
+            } else if (objective.kind === 'escort') {
+                done = event.type === 'escortArrived' && event.npc.escorting === quest.id;
+            } else if (objective.kind === 'reach') {
+                done = this.currentLevel >= objective.level;
+            }
+            
+            if (done) this.completeQuest(quest);
+        }
+    }
+    
+    // Finish a quest and hand out its reward
+    completeQuest(quest) {
+        const { title, objective, reward } = this.content.quests[quest.id];
+        quest.status = 'completed';
+        this.addMessage(`Quest complete: ${title}`, 'progress');
+        
+        // An escorted NPC goes on down the stairs without the player
+        if (objective.kind === 'escort') {
+            const npc = this.npcs.find(n => n.escorting === quest.id);
+            if (npc) {
+                this.npcs = this.npcs.filter(n => n !== npc);
+                this.addMessage(`The ${this.getNpcName(npc)} thanks you and heads down the stairs`, 'progress');
+            }
+        }
+        
+        if (reward.gold) {
+            this.gold += reward.gold;
+            this.addMessage(`You receive ${reward.gold} gold`, 'loot');
+        }
+        if (reward.item) {
+            const item = { type: reward.item, quantity: 1 };
+            this.addMessage(`You receive ${this.describeItem(item)}`, 'loot');
+            this.receiveItem(item);
+        }
+        if (reward.xp) {
+            this.gainXp(reward.xp);
+        }
+    }
+    
+    // The quest log: active quests first, then completed ones, each as
+    // { title, description, status, progress } (progress is a line of text,
+    // or null for objectives that are simply done or not)
+    getQuestLog() {
+        const entries = this.quests.map(quest => {
+            const { title, description, objective } = this.content.quests[quest.id];
+            const progress = objective.kind === 'kill' && quest.status === 'active'
+                ? `${quest.progress} of ${objective.count} slain (on level ${quest.level})`
+                : null;
+            return { title, description, status: quest.status, progress };
+        });
+        return entries.filter(entry => entry.status === 'active').concat(entries.filter(entry => entry.status === 'completed'));
+    }
+    
+    // NPCs being escorted keep up with the player, and let the quest know once
+    // they're next to the stairs down (or the way out on the last level)
+    moveEscorts() {
+        if (!this.player) return;
+        
+        for (const npc of this.npcs.filter(n => n.escorting)) {
+            if (Math.max(Math.abs(npc.x - this.player.x), Math.abs(npc.y - this.player.y)) > 1) {
+                this.stepNpcTowards(npc, this.player.x, this.player.y);
+            }
+            
+            let arrived = false;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const x = npc.x + dx;
+                    const y = npc.y + dy;
+                    if (this.isLevelExit(x, y) && this.map[y][x].feature !== 'stairsUp') arrived = true;
+                }
+            }
+            if (arrived) this.postEvent('escortArrived', { npc });
+        }
+    }
+    
+    // Take one step along the A* path to (targetX, targetY), if the next tile
+    // is free. NPCs walk diagonally, like the player.
+    stepNpcTowards(npc, targetX, targetY) {
+        const astar = new ROT.Path.AStar(targetX, targetY, (x, y) => {
+            return (x === npc.x && y === npc.y) || this.isValidMove(x, y) || (x === targetX && y === targetY);
+        }, { topology: 8 });
+        
+        const path = [];
+        astar.compute(npc.x, npc.y, (x, y) => path.push({ x, y }));
+        
+        // path[0] is the NPC's own tile
+        const next = path[1];
+        if (!next || !this.isFreeForMonster(next.x, next.y)) return;
+        
+        this.moveNpcTo(npc, next.x, next.y);
+    }
+    
+    // NPCs open closed doors as they walk through them, like monsters
+    moveNpcTo(npc, x, y) {
+        npc.x = x;
+        npc.y = y;
+        
+        if (this.map[y][x].feature === 'doorClosed') {
+            this.map[y][x].feature = 'doorOpen';
+            this.computeFOV();
+        }
+    }
+    
+    // How many companions the player has, here and on the levels they left
+    // them on
+    countFollowers() {
+        const levels = [this.npcs, ...Object.values(this.levelCache).map(level => level.npcs)];
+        return levels.reduce((count, npcs) => count + npcs.filter(n => n.follower).length, 0);
+    }
+    
+    // An NPC joins the player (see the recruit dialogue effect), if they're
+    // the fighting kind and the party has room. They keep whatever health
+    // they had if they've been a companion before.
+    recruit(npc) {
+        const stats = this.content.companions[npc.type];
+        if (!stats || npc.follower) return;
+        
+        const name = this.getNpcName(npc);
+        if (this.countFollowers() >= MAX_FOLLOWERS) {
+            this.addMessage(`The ${name} sees you have company enough already`);
+            return;
+        }
+        
+        npc.follower = true;
+        npc.order = 'follow';
+        npc.maxHealth = stats.health;
+        if (npc.health === undefined) npc.health = stats.health;
+        this.addMessage(`The ${name} joins you`, 'progress');
+    }
+    
+    // A companion has been slain
+    loseFollower(npc) {
+        this.npcs = this.npcs.filter(n => n !== npc);
+        if (this.dialogue && this.dialogue.npc === npc) this.endDialogue();
+        this.addMessage(`Your ${this.getNpcName(npc)} falls!`, 'danger');
+    }
+    
+    // The companion nearest the player on this level, or null if there are none
+    getNearestFollower() {
+        const distance = (npc) => Math.max(Math.abs(npc.x - this.player.x), Math.abs(npc.y - this.player.y));
+        return this.npcs.filter(n => n.follower)
+            .reduce((nearest, npc) => (nearest && distance(nearest) <= distance(npc) ? nearest : npc), null);
+    }
+    
+    // Give orders to the nearest companion, wherever they are on the level
+    orderFollower() {
+        if (!this.player || this.isDead) return;
+        
+        const npc = this.getNearestFollower();
+        if (!npc) {
+            this.addMessage('You have no companions here');
+            return;
+        }
+        this.talkTo(npc);
+    }
+    
+    // Companions act on their orders:
+    //   follow - fight anything next to them, otherwise keep up with the player
+    //   stay   - hold their ground, fighting only what comes to them
+    //   flee   - keep away from monsters, and otherwise stay with the player
+    // fight says whether they may attack this time.
+    moveFollowers(fight) {
+        if (!this.player || this.isDead) return;
+        
+        for (const npc of this.npcs.filter(n => n.follower)) {
+            const distanceTo = (entity) => Math.max(Math.abs(entity.x - npc.x), Math.abs(entity.y - npc.y));
+            
+            if (npc.order === 'flee') {
+                const threats = this.monsters.filter(m => distanceTo(m) <= MONSTER_SIGHT_RADIUS);
+                if (threats.length > 0) {
+                    this.stepNpcAway(npc, threats);
+                    continue;
+                }
+            } else {
+                const foe = fight ? this.monsters.find(m => distanceTo(m) <= 1) : null;
+                if (foe) {
+                    this.performAttack(npc, foe, this.getFollowerStats(npc), this.getMonsterStats(foe));
+                    if (foe.health <= 0) this.killMonster(foe, npc);
+                    continue;
+                }
+            }
+            
+            if (npc.order !== 'stay' && distanceTo(this.player) > 2) {
+                this.stepNpcTowards(npc, this.player.x, this.player.y);
+            }
+        }
+    }
+    
+    // Step to the neighbouring tile that gets furthest from the nearest of
+    // the threats. Stays put if every way out leads closer.
+    stepNpcAway(npc, threats) {
+        const safety = (x, y) => Math.min(...threats.map(t => (x - t.x) ** 2 + (y - t.y) ** 2));
+        
+        let best = null;
+        let bestSafety = safety(npc.x, npc.y);
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const x = npc.x + dx;
+                const y = npc.y + dy;
+                if (this.isFreeForMonster(x, y) && safety(x, y) > bestSafety) {
+                    best = { x, y };
+                    bestSafety = safety(x, y);
+                }
+            }
+        }
+        
+        if (best) {
+            this.moveNpcTo(npc, best.x, best.y);
+        }
+    }
+    
+    // Start trading with a shopkeeper (see the openShop dialogue effect). The
+    // UI shows their stock and the player's pack through onShop, and trades
+    // with buyItem and sellItem.
+    openShop(npc) {
+        if (!npc.stock) return;
+        
+        this.stopTravel();
+        this.shop = npc;
+        this.ui.onShop(npc);
+    }
+    
+    closeShop() {
+        if (!this.shop) return;
+        
+        this.shop = null;
+        this.ui.onShop(null);
+    }
+    
+    // What a shop charges for one of an item type, and what it pays for one
+    getBuyPrice(type) {
+        return this.itemTypes[type].value;
+    }
+    
+    getSellPrice(type) {
+        return Math.max(1, Math.floor(this.itemTypes[type].value / 2));
+    }
+    
+    // Buy one of the shop's stock (by its index in the stock list)
+    buyItem(index) {
+        if (!this.shop || this.isDead) return;
+        
+        const stock = this.shop.stock;
+        const item = stock[index];
+        if (!item) return;
+        
+        const name = this.itemTypes[item.type].name;
+        const price = this.getBuyPrice(item.type);
+        if (this.gold < price) {
+            this.addMessage(`You can't afford the ${name}`);
+            return;
+        }
+        if (!this.addToInventory({ type: item.type, quantity: 1 })) {
+            this.addMessage('Your pack is full');
+            return;
+        }
+        
+        this.gold -= price;
+        item.quantity--;
+        if (item.quantity <= 0) {
+            stock.splice(index, 1);
+        }
+        this.addMessage(`You buy ${this.describeItem({ type: item.type, quantity: 1 })} for ${price} gold`, 'loot');
+        this.ui.refresh();
+    }
+    
+    // Sell one of an inventory slot's items to the shop, which puts it up for sale
+    sellItem(index) {
+        if (!this.shop || this.isDead) return;
+        
+        const item = this.inventory[index];
+        if (!item) return;
+        
+        const price = this.getSellPrice(item.type);
+        item.quantity--;
+        if (item.quantity <= 0) {
+            this.inventory.splice(index, 1);
+        }
+        this.addToStock(this.shop.stock, { type: item.type, quantity: 1 });
+        this.gold += price;
+        this.addMessage(`You sell ${this.describeItem({ type: item.type, quantity: 1 })} for ${price} gold`, 'loot');
+        this.ui.refresh();
+    }
+    
+    // What the player knows about a tile, for look mode - or null if they've
+    // never seen it. Tiles out of view show the map as remembered, without
+    // monsters or NPCs, since those may have moved on.
+    //   { visible, tile, feature, items, player, monster: { name, health, maxHealth, state, summoned }, npc }
+    lookAt(x, y) {
+        if (x < 0 || y < 0 || x >= MAP_WIDTH || y >= MAP_HEIGHT || !this.isTileExplored(x, y)) return null;
+        
+        const tile = this.map[y][x];
+        const visible = this.isTileVisible(x, y);
+        const look = {
+            visible,
+            tile: this.getSpriteDescription('tiles', this.content.tiles[tile.type]),
+            feature: tile.feature ? this.getSpriteDescription('tiles', this.content.tiles[tile.feature]) : null,
+            items: (tile.items || []).map(item => this.describeItem(item)),
+            player: this.player.x === x && this.player.y === y,
+            monster: null,
+            npc: null
+        };
+        
+        // Firepits and other animated tiles stand in for a feature
+        const animated = this.animatedTiles.find(a => a.x === x && a.y === y);
+        if (animated) {
+            look.feature = this.getSpriteDescription('animatedTiles', this.animatedTileTypes[animated.type].sprite);
+        }
+        if (!visible) return look;
+        
+        const monster = this.monsters.find(m => m.x === x && m.y === y);
+        if (monster) {
+            look.monster = {
+                name: this.getSpriteDescription('monsters', this.monsterStats[monster.type].sprite),
+                health: monster.health,
+                maxHealth: monster.maxHealth,
+                state: monster.state,
+                summoned: monster.summoned
+            };
+        }
+        
+        const npc = this.npcs.find(n => n.x === x && n.y === y);
+        if (npc) {
+            look.npc = this.getSpriteDescription('characters', this.content.characters[npc.type]);
+        }
+        
+        return look;
+    }
+    
+    // An NPC's short name for the message log: its sprite's description
+    // without the details, "farmer (scythe)" -> "farmer"
+    getNpcName(npc) {
+        return this.getSpriteDescription('characters', this.content.characters[npc.type]).split(/ \(| \//)[0];
+    }
+    
+    // 'goblinArcher' -> 'goblin archer'
+    getMonsterName(monster) {
+        return monster.type.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`);
+    }
+    
+    // Post a line to the message log (category is one of MESSAGE_CATEGORIES)
+    addMessage(text, category = 'info') {
+        this.ui.onMessage(text, category);
+    }
+    
+    // Put an item in the inventory, stacking where possible.
+    // Returns false if there's no free slot for it.
+    addToInventory(item) {
+        if (item.type === 'gold') {
+            this.gold += item.quantity;
+            return true;
+        }
+        
+        if (this.itemTypes[item.type].stackable) {
+            const stack = this.inventory.find(i => i.type === item.type);
+            if (stack) {
+                stack.quantity += item.quantity;
+                return true;
+            }
+        }
+        
+        if (this.inventory.length >= INVENTORY_SIZE) return false;
+        
+        this.inventory.push({ type: item.type, quantity: item.quantity });
+        return true;
+    }
+    
+    // Open a chest under the player and pick up everything on the tile
+    pickUp() {
+        if (!this.player || this.isDead) return;
+        
+        const tile = this.map[this.player.y][this.player.x];
+        
+        // Looting a chest tips its contents onto the tile and leaves it open
+        if (tile.feature === 'chest') {
+            tile.feature = 'chestOpen';
+            tile.items = (tile.items || []).concat(tile.contents || []);
+            delete tile.contents;
+            this.addMessage('You open the chest', 'loot');
+        }
+        
+        if (!tile.items || tile.items.length === 0) return;
+        
+        // Anything that doesn't fit stays on the floor
+        const pickedUp = [];
+        tile.items = tile.items.filter(item => {
+            if (this.addToInventory(item)) {
+                pickedUp.push(item);
+                return false;
+            }
+            return true;
+        });
+        if (tile.items.length === 0) {
+            delete tile.items;
+        }
+        
+        this.ui.onItemsPickedUp(pickedUp, tile.items || []);
+        if (pickedUp.length > 0) {
+            this.addMessage(`You found ${pickedUp.map(item => this.describeItem(item)).join(', ')}`, 'loot');
+        }
+        for (const item of pickedUp) {
+            this.postEvent('pickup', { item });
+        }
+        if (tile.items) {
+            this.addMessage('Your pack is full');
+        }
+        this.ui.refresh();
+        this.endPlayerTurn();
+    }
+    
+    // Drop a whole inventory slot onto the player's tile
+    dropItem(index) {
+        if (!this.player || this.isDead) return;
+        
+        const item = this.inventory[index];
+        if (!item) return;
+        
+        this.inventory.splice(index, 1);
+        const tile = this.map[this.player.y][this.player.x];
+        tile.items = (tile.items || []).concat([item]);
+        this.addMessage(`You drop ${this.describeItem(item)}`);
+        
+        this.ui.refresh();
+        this.endPlayerTurn();
+    }
+    
+    // Use an item from the inventory: drink a potion, read a scroll or equip gear
+    useItem(index) {
+        if (!this.player || this.isDead) return;
+        
+        const item = this.inventory[index];
+        if (!item) return;
+        
+        const itemType = this.itemTypes[item.type];
+        if (EQUIPMENT_SLOTS.includes(itemType.kind)) {
+            this.equipItem(index);
+            return;
+        } else if (itemType.kind === 'potion') {
+            this.addMessage(`You drink the ${itemType.name}`, 'loot');
+            this.modifyHealth(itemType.heal);
+        } else if (itemType.kind === 'scroll') {
+            this.addMessage(`You read the ${itemType.name}`, 'loot');
+            this.readScroll(itemType.effect);
+        } else {
+            return;
+        }
+        
+        // Used up
+        item.quantity--;
+        if (item.quantity <= 0) {
+            this.inventory.splice(index, 1);
+        }
+        
+        this.ui.onItemUsed(item);
+        this.computeFOV();
+        this.ui.refresh();
+        this.endPlayerTurn();
+    }
+    
+    // Equip gear from the inventory. Whatever was in that slot takes its place
+    // in the inventory.
+    equipItem(index) {
+        const item = this.inventory[index];
+        const slot = this.itemTypes[item.type].kind;
+        
+        const previous = this.equipment[slot];
+        this.equipment[slot] = item;
+        this.addMessage(`You equip the ${this.itemTypes[item.type].name}`);
+        if (previous) {
+            this.inventory[index] = previous;
+        } else {
+            this.inventory.splice(index, 1);
+        }
+        
+        this.ui.refresh();
+        this.endPlayerTurn();
+    }
+    
+    // Take off whatever is in a slot. Fails if the inventory has no room for it.
+    unequipItem(slot) {
+        if (!this.player || this.isDead) return false;
+        
+        const item = this.equipment[slot];
+        if (!item || !this.addToInventory(item)) return false;
+        
+        this.equipment[slot] = null;
+        this.addMessage(`You take off the ${this.itemTypes[item.type].name}`);
+        
+        this.ui.refresh();
+        this.endPlayerTurn();
+        return true;
+    }
+    
+    readScroll(effect) {
+        switch (effect) {
+            case 'mapping':
+                // Reveal every floor tile and the walls bordering them
+                for (let y = 0; y < MAP_HEIGHT; y++) {
+                    for (let x = 0; x < MAP_WIDTH; x++) {
+                        if (this.isWallTile(this.map[y][x].type) && !this.isNextToFloor(x, y)) continue;
+                        
+                        // Dimly remembered, like tiles seen by firelight
+                        const key = `${x},${y}`;
+                        this.exploredTiles[key] = Math.max(this.exploredTiles[key] || 0, 0.3);
+                    }
+                }
+                break;
+            case 'teleport': {
+                // Jump to a random open floor tile
+                const spots = [];
+                for (let y = 0; y < MAP_HEIGHT; y++) {
+                    for (let x = 0; x < MAP_WIDTH; x++) {
+                        if (this.isValidMove(x, y) &&
+                            !this.monsters.some(m => m.x === x && m.y === y) &&
+                            !this.map[y][x].feature) {
+                            spots.push({x, y});
+                        }
+                    }
+                }
+                if (spots.length > 0) {
+                    const spot = ROT.RNG.getItem(spots);
+                    this.player.x = spot.x;
+                    this.player.y = spot.y;
+                }
+                break;
+            }
+        }
+    }
+    
+    isNextToFloor(x, y) {
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx >= 0 && ny >= 0 && nx < MAP_WIDTH && ny < MAP_HEIGHT &&
+                    !this.isWallTile(this.map[ny][nx].type)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+    
+    // Helper methods for checking tile visibility
+    isTileVisible(x, y) {
+        return this.visibleTiles[`${x},${y}`] !== undefined;
+    }
+    
+    isTileExplored(x, y) {
+        return this.exploredTiles[`${x},${y}`] !== undefined;
+    }
+
+    // Add victory method
+    playerWon() {
+        // Set the victory flag (reusing isDead to disable movement)
+        this.isDead = true;
+        
+        this.addMessage('You escape the dungeon!', 'progress');
+        this.ui.onPlayerWon();
+    }
+}
+
+// Allow the simulation to be loaded in Node (e.g. for tests) as well as the browser
+if (typeof module !== 'undefined' && module.exports) {
+    // Read the data files from disk, ready for new GladelikeCore(ui, content)
+    const readContentFiles = () => {
+        const fs = require('fs');
+        const path = require('path');
+        const content = {};
+        for (const [name, file] of Object.entries(CONTENT_FILES)) {
+            content[name] = JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+        }
+        content.manifests = {};
+        for (const [sheet, file] of Object.entries(SPRITE_MANIFESTS)) {
+            content.manifests[sheet] = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        }
+        return content;
+    };
+    
+    module.exports = { GladelikeCore, HeadlessUI, MAP_WIDTH, MAP_HEIGHT, INVENTORY_SIZE, SAVE_VERSION, EQUIPMENT_SLOTS, MESSAGE_CATEGORIES, CONTENT_FILES, SPRITE_MANIFESTS, readContentFiles };
+}
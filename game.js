@@ -1,26 +1,184 @@
 // Gladelike - A simple roguelike game using rot.js
+//
+// Browser front end: draws the simulation from core.js on a canvas, builds the
+// DOM HUD and overlays, and turns keyboard input into core actions.
 
 // Constants
 const TILE_SIZE = 32; // Size of each tile in pixels
-const MAP_WIDTH = 80;  // Actual map width
-const MAP_HEIGHT = 50; // Actual map height
-const FOV_RADIUS = 6; // How far the player can see
-const ANIMATION_SPEED = 400; // Milliseconds per frame - slower for more natural fire animation
-const BASE_MONSTERS = 6; // Base number of monsters per level
-const MAX_LEVELS = 5; // Maximum number of levels in the game
+const SAVE_KEY = 'gladelike-save'; // localStorage key for the saved run
+const SETTINGS_KEY = 'gladelike-settings'; // localStorage key for player preferences
+const MESSAGE_LOG_LINES = 6; // Message log lines shown while the full history is closed
+const MESSAGE_HISTORY = 200; // Oldest messages are dropped beyond this
 
-// Game class
+// Message log colour for each of the core's MESSAGE_CATEGORIES
+const MESSAGE_COLORS = {
+    combat: '#ddd',
+    danger: '#ff6b6b',
+    kill: '#ffa94d',
+    loot: 'gold',
+    magic: '#b197fc',
+    progress: '#69db7c',
+    travel: '#74c0fc',
+    info: '#999'
+};
+
+const TRAVEL_STEP_INTERVAL = 100; // Milliseconds between steps when travelling to a clicked tile
+const MINIMAP_SCALE = 3; // Pixels per tile on the corner minimap
+const OVERVIEW_SCALE = 16; // Pixels per tile on the full-screen overview
+
+// Colours of the minimap and overview
+const MAP_COLORS = {
+    wall: '#777',
+    floor: '#333',
+    door: '#a0522d',
+    stairs: '#4dabf7',
+    monster: '#ff4040',
+    player: '#ffe066'
+};
+
+// Actions that can be bound to keys, in the order the key bindings screen lists them
+const KEY_ACTIONS = {
+    moveUp: 'Move up',
+    moveDown: 'Move down',
+    moveLeft: 'Move left',
+    moveRight: 'Move right',
+    moveUpLeft: 'Move up-left',
+    moveUpRight: 'Move up-right',
+    moveDownLeft: 'Move down-left',
+    moveDownRight: 'Move down-right',
+    wait: 'Wait a turn',
+    pickUp: 'Pick up / open chest',
+    descend: 'Go to the stairs down',
+    inventory: 'Inventory',
+    look: 'Look',
+    messageLog: 'Message log',
+    overview: 'Level overview',
+    quests: 'Quest log',
+    orders: 'Order a companion',
+    explore: 'Auto-explore',
+    pause: 'Pause'
+};
+
+// The step each movement action takes
+const MOVE_ACTIONS = {
+    moveUp: [0, -1],
+    moveDown: [0, 1],
+    moveLeft: [-1, 0],
+    moveRight: [1, 0],
+    moveUpLeft: [-1, -1],
+    moveUpRight: [1, -1],
+    moveDownLeft: [-1, 1],
+    moveDownRight: [1, 1]
+};
+
+// Bindings shared by every preset
+const COMMON_KEY_BINDINGS = {
+    wait: ['.'],
+    pickUp: ['g', ','],
+    descend: ['>'],
+    inventory: ['i'],
+    look: [';'],
+    messageLog: ['m'],
+    overview: ['o'],
+    quests: ['t'],
+    orders: ['f'],
+    explore: ['x'],
+    pause: ['p']
+};
+
+// Movement key presets. The arrow keys keep working in all of them, and the
+// numpad preset works with Num Lock on (digits) or off (Home, PgUp...)
+const KEY_PRESETS = {
+    arrows: {
+        name: 'Arrow keys',
+        bindings: {
+            moveUp: ['ArrowUp'], moveDown: ['ArrowDown'], moveLeft: ['ArrowLeft'], moveRight: ['ArrowRight'],
+            moveUpLeft: ['Home'], moveUpRight: ['PageUp'], moveDownLeft: ['End'], moveDownRight: ['PageDown']
+        }
+    },
+    numpad: {
+        name: 'Numpad',
+        bindings: {
+            moveUp: ['8', 'ArrowUp'], moveDown: ['2', 'ArrowDown'], moveLeft: ['4', 'ArrowLeft'], moveRight: ['6', 'ArrowRight'],
+            moveUpLeft: ['7', 'Home'], moveUpRight: ['9', 'PageUp'], moveDownLeft: ['1', 'End'], moveDownRight: ['3', 'PageDown'],
+            wait: ['5', 'Clear', '.']
+        }
+    },
+    vi: {
+        name: 'Vi keys (hjklyubn)',
+        bindings: {
+            moveUp: ['k', 'ArrowUp'], moveDown: ['j', 'ArrowDown'], moveLeft: ['h', 'ArrowLeft'], moveRight: ['l', 'ArrowRight'],
+            moveUpLeft: ['y'], moveUpRight: ['u'], moveDownLeft: ['b'], moveDownRight: ['n']
+        }
+    },
+    wasd: {
+        name: 'WASD (QEZC diagonals)',
+        bindings: {
+            moveUp: ['w', 'ArrowUp'], moveDown: ['s', 'ArrowDown'], moveLeft: ['a', 'ArrowLeft'], moveRight: ['d', 'ArrowRight'],
+            moveUpLeft: ['q'], moveUpRight: ['e'], moveDownLeft: ['z'], moveDownRight: ['c']
+        }
+    }
+};
+
+// How look mode describes what a monster is doing
+const MONSTER_STATE_NAMES = {
+    idle: 'wandering',
+    hunting: 'hunting you',
+    searching: 'searching for you',
+    fleeing: 'fleeing'
+};
+
+// How keys are written on screen (others show as they are, letters in capitals)
+const KEY_NAMES = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    PageUp: 'PgUp',
+    PageDown: 'PgDn',
+    Clear: 'Num 5',
+    ' ': 'Space'
+};
+
+// Game class - the canvas and DOM implementation of the core's UI adapter
 class GladelikeGame {
     constructor() {
         this.canvas = document.getElementById('game-canvas');
         this.ctx = this.canvas.getContext('2d');
         
-        // Add isDead flag
-        this.isDead = false;
+        // The game simulation - this object is its UI adapter
+        this.core = new GladelikeCore(this);
+        
+        // Player preferences (kept between runs)
+        this.settings = this.loadSettings();
+        this.core.setTimeMode(this.settings.timeMode);
+        this.applyKeyBindings();
+        
+        // Action waiting for a new key on the key bindings screen, if any
+        this.rebindingAction = null;
         
         // Add pause state
         this.isPaused = false;
         
+        // Inventory panel state (monsters wait while it's open)
+        this.isInventoryOpen = false;
+        
+        // Message log, oldest first: { text, category, count } with repeats
+        // of the same line counted instead of added again
+        this.messages = [];
+        this.isMessageLogOpen = false; // Full history shown (monsters wait while it's open)
+        
+        // Full-screen map of the explored level (monsters wait while it's open)
+        this.isOverviewOpen = false;
+        
+        // Active and completed quests (monsters wait while it's open)
+        this.isQuestLogOpen = false;
+        
+        // Look mode: the tile under the look cursor or the mouse, described in
+        // a tooltip. isLooking is the keyboard-driven mode (monsters wait while it's on)
+        this.lookCursor = null;
+        this.isLooking = false;
+        
         // Add loading timeout
         setTimeout(() => {
             if (this.resourcesLoaded < this.totalResources) {
@@ -29,10 +187,13 @@ class GladelikeGame {
             }
         }, 10000); // 10 second timeout
         
-        // Add real-time monster movement tracking
+        // Add real-time monster movement tracking (only used in real-time mode)
         this.lastMonsterMoveTime = 0;
         this.monsterMoveInterval = 700; // milliseconds between monster moves (adjusted for better balance)
         
+        // When the player last took a step of click-to-travel
+        this.lastTravelStepTime = 0;
+        
         // Viewport dimensions (in tiles)
         this.viewportWidth = 0;
         this.viewportHeight = 0;
@@ -46,49 +207,21 @@ class GladelikeGame {
             y: 0
         };
         
-        // Set up player character, NPCs, and monsters
-        this.player = null;
-        this.npcs = [];
-        this.monsters = [];
-        
-        // Player stats
-        this.maxHealth = 100;
-        this.currentHealth = 100;
-        this.playerDamage = [5, 10]; // Min-max damage
-        
-        // FOV and map memory
-        this.visibleTiles = {};
-        this.exploredTiles = {};
-        
-        // Dungeon depth tracking
-        this.currentLevel = 1;
+        // Run seed requested through the page URL, if any
+        this.seed = this.getSeedFromURL();
         
         // Track resource loading
         this.resourcesLoaded = 0;
-        this.totalResources = 4; // tiles.png, rogues.png, monsters.png, animated-tiles.png
+        this.totalResources = 4 + Object.keys(CONTENT_FILES).length + Object.keys(SPRITE_MANIFESTS).length; // The four sprite sheets, the data files and the sheets' manifests
         
         // Add combat tracking
         this.recentlyAttacked = new Map(); // For tracking which monsters were recently in combat
         this.attackedMonsters = new Set(); // Track which monsters have been attacked at least once
+        this.projectiles = []; // Arrows and firebolts in flight, drawn on the canvas
         
         // Add CSS styles for combat enhancements
         this.addCombatStyles();
         
-        // Add basic monster stats
-        this.monsterStats = {
-            'goblin': { health: 20, damage: [2, 5] },
-            'giantRat': { health: 15, damage: [1, 4] },
-            'smallMyconid': { health: 12, damage: [1, 3] },
-            'orc': { health: 30, damage: [3, 7] },
-            'goblinArcher': { health: 20, damage: [2, 6] },
-            'giantSpider': { health: 25, damage: [2, 6] },
-            'largeMyconid': { health: 25, damage: [2, 5] },
-            'orcBlademaster': { health: 40, damage: [4, 8] },
-            'orcWizard': { health: 25, damage: [3, 8] },
-            'skeleton': { health: 30, damage: [3, 6] },
-            'ghoul': { health: 35, damage: [3, 7] }
-        };
-        
         // Initialize tiles
         this.tilesetImage = new Image();
         this.tilesetImage.src = 'tiles.png';
@@ -125,9 +258,20 @@ class GladelikeGame {
             this.checkAllResourcesLoaded();
         };
         
-        // Track animated tiles and light sources
-        this.animatedTiles = [];
-        this.lightSources = [];
+        // Load the data files (monsters, level themes...) and the sprite sheet
+        // manifests - they are handed to the core once everything is in
+        this.content = { manifests: {} };
+        this.contentLoadErrors = [];
+        for (const [name, file] of Object.entries(CONTENT_FILES)) {
+            this.loadContentFile(file, response => response.json(), data => {
+                this.content[name] = data;
+            });
+        }
+        for (const [sheet, file] of Object.entries(SPRITE_MANIFESTS)) {
+            this.loadContentFile(file, response => response.text(), text => {
+                this.content.manifests[sheet] = text;
+            });
+        }
         
         // Animation timing
         this.lastFrameTime = 0;
@@ -136,13 +280,9 @@ class GladelikeGame {
         // Start animation loop
         requestAnimationFrame(this.animationLoop.bind(this));
         
-        // Define tile types and character types
-        this.defineTileTypes();
-        this.defineCharacterTypes();
-        this.defineMonsterTypes();
-        
-        // Set up keyboard handlers
+        // Set up keyboard, mouse and touch handlers
         this.setupKeyboardHandlers();
+        this.setupPointerHandlers();
         
         // Handle window resize
         window.addEventListener('resize', () => {
@@ -163,32 +303,214 @@ class GladelikeGame {
         this.viewportHeight = Math.ceil(this.canvas.height / TILE_SIZE);
         
         // Ensure we recalculate camera position after resize
-        if (this.player) {
+        if (this.core.player) {
             this.updateCamera();
         }
     }
     
     checkAllResourcesLoaded() {
         if (this.resourcesLoaded === this.totalResources) {
-            this.defineAnimatedTileTypes();
-            this.generateMap();
-            this.placeCharacters();
-            this.placeFirepits();  // Place firepits near spawn points
-            this.placeMonsters();
-            this.computeFOV();
-            this.updateCamera();
-            this.drawMap();
-            this.updateUI();
+            if (!this.applyContent()) return;
+            
+            // A seed in the URL starts the run straight away, unless there is
+            // a saved run to offer first, otherwise ask for a seed
+            const savedState = this.loadSavedGame();
+            if (this.seed !== null && !savedState) {
+                this.startGame(this.seed);
+            } else {
+                this.showStartScreen(savedState);
+            }
+        }
+    }
+    
+    // Read a shared run seed from the page URL (?seed=...)
+    getSeedFromURL() {
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        return seed && seed.trim() ? seed.trim() : null;
+    }
+    
+    // Create a short random seed for a fresh run
+    createRandomSeed() {
+        return Math.random().toString(36).slice(2, 8);
+    }
+    
+    startGame(seed) {
+        this.updateSeedURL(seed);
+        
+        // A new run replaces whatever was saved before
+        this.deleteSavedGame();
+        
+        this.core.newGame(seed);
+    }
+    
+    // Keep the seed in the URL so the run can be shared by copying the link
+    updateSeedURL(seed) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', seed);
+        window.history.replaceState(null, '', url);
+    }
+    
+    showStartScreen(savedState = null) {
+        const gameContainer = document.getElementById('game-container');
+        const startScreen = document.createElement('div');
+        startScreen.id = 'start-screen';
+        startScreen.style.position = 'absolute';
+        startScreen.style.top = '50%';
+        startScreen.style.left = '50%';
+        startScreen.style.transform = 'translate(-50%, -50%)';
+        startScreen.style.color = 'white';
+        startScreen.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        startScreen.style.padding = '20px';
+        startScreen.style.borderRadius = '10px';
+        startScreen.style.textAlign = 'center';
+        startScreen.style.zIndex = '1000';
+        
+        const title = document.createElement('div');
+        title.textContent = 'Gladelike';
+        title.style.fontSize = '32px';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '15px';
+        startScreen.appendChild(title);
+        
+        const label = document.createElement('label');
+        label.textContent = 'Seed: ';
+        label.style.fontSize = '16px';
+        
+        const seedInput = document.createElement('input');
+        seedInput.type = 'text';
+        seedInput.value = this.seed || this.createRandomSeed();
+        seedInput.style.padding = '5px';
+        seedInput.style.fontSize = '16px';
+        seedInput.style.fontFamily = 'monospace';
+        seedInput.style.width = '140px';
+        label.appendChild(seedInput);
+        startScreen.appendChild(label);
+        
+        const startButton = document.createElement('button');
+        startButton.textContent = savedState ? 'New Game' : 'Start Game';
+        startButton.style.display = 'block';
+        startButton.style.margin = '15px auto 0';
+        startButton.style.padding = '10px 20px';
+        startButton.style.fontSize = '16px';
+        startButton.style.cursor = 'pointer';
+        
+        const start = () => {
+            const seed = seedInput.value.trim() || this.createRandomSeed();
+            startScreen.remove();
+            this.startGame(seed);
+        };
+        startButton.onclick = start;
+        seedInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') start();
+        });
+        
+        startScreen.appendChild(startButton);
+        
+        // Offer to resume the saved run
+        if (savedState) {
+            const continueButton = document.createElement('button');
+            continueButton.textContent = `Continue (Level ${savedState.currentLevel}, Seed: ${savedState.seed})`;
+            continueButton.style.display = 'block';
+            continueButton.style.margin = '10px auto 0';
+            continueButton.style.padding = '10px 20px';
+            continueButton.style.fontSize = '16px';
+            continueButton.style.cursor = 'pointer';
+            continueButton.onclick = () => {
+                startScreen.remove();
+                this.continueGame(savedState);
+            };
+            startScreen.appendChild(continueButton);
+        }
+        
+        gameContainer.appendChild(startScreen);
+        seedInput.focus();
+        seedInput.select();
+    }
+    
+    saveGame() {
+        if (!this.core.player || this.core.isDead) return;
+        
+        try {
+            localStorage.setItem(SAVE_KEY, JSON.stringify(this.core.serializeState()));
+        } catch (error) {
+            // Storage can be full or disabled - the run just isn't saved
+            console.error("Could not save the game:", error);
         }
     }
     
+    // Load, migrate and validate the saved run, or return null if there isn't a usable one
+    loadSavedGame() {
+        let data;
+        try {
+            data = JSON.parse(localStorage.getItem(SAVE_KEY));
+        } catch (error) {
+            console.error("Saved game is corrupt, ignoring it:", error);
+            return null;
+        }
+        if (!data) return null;
+        
+        try {
+            data = this.core.migrateSave(data);
+        } catch (error) {
+            console.error("Saved game can't be loaded by this version:", error.message);
+            return null;
+        }
+        
+        if (!this.core.isValidSave(data)) {
+            console.error("Saved game is missing data, ignoring it.");
+            return null;
+        }
+        
+        return data;
+    }
+    
+    deleteSavedGame() {
+        localStorage.removeItem(SAVE_KEY);
+    }
+    
+    // Resume a run from a loaded save
+    continueGame(state) {
+        this.updateSeedURL(state.seed);
+        this.core.restoreState(state);
+        this.showLevelMessage();
+    }
+    
+    loadSettings() {
+        const defaults = {
+            timeMode: 'realtime', // 'realtime' or 'turns'
+            keyPreset: 'arrows', // One of KEY_PRESETS, or 'custom' once keys have been rebound
+            keyBindings: {} // Action -> keys (filled in from the preset by applyKeyBindings)
+        };
+        
+        try {
+            return Object.assign(defaults, JSON.parse(localStorage.getItem(SETTINGS_KEY)));
+        } catch (error) {
+            return defaults;
+        }
+    }
+    
+    saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error("Could not save settings:", error);
+        }
+    }
+    
+    setTimeMode(mode) {
+        this.settings.timeMode = mode;
+        this.saveSettings();
+        this.core.setTimeMode(mode);
+    }
+    
     updateCamera() {
         // Center the camera on the player
-        if (!this.player) return;
+        const player = this.core.player;
+        if (!player) return;
         
         // Calculate ideal camera position (centered on player)
-        this.camera.x = Math.floor(this.player.x - this.viewportWidth / 2);
-        this.camera.y = Math.floor(this.player.y - this.viewportHeight / 2);
+        this.camera.x = Math.floor(player.x - this.viewportWidth / 2);
+        this.camera.y = Math.floor(player.y - this.viewportHeight / 2);
         
         // Clamp camera to map boundaries
         this.camera.x = Math.max(0, Math.min(this.camera.x, MAP_WIDTH - this.viewportWidth));
@@ -196,910 +518,360 @@ class GladelikeGame {
     }
     
     setupKeyboardHandlers() {
-        // Track pressed keys
-        const keys = {};
-        
-        // Key down event
         window.addEventListener('keydown', (e) => {
-            // Check for pause key (Escape or P)
-            if (e.key === 'Escape' || e.key === 'p' || e.key === 'P') {
+            // Let text fields (like the seed input) receive their own keys
+            if (e.target instanceof HTMLInputElement) return;
+            
+            // The key bindings screen is waiting for a key
+            if (this.rebindingAction) {
+                this.handleRebindKey(e);
+                return;
+            }
+            
+            // Any key interrupts click-to-travel
+            this.core.stopTravel();
+            
+            const action = this.getKeyAction(e);
+            
+            // While the inventory is open, keys act on the inventory
+            if (this.isInventoryOpen) {
+                this.handleInventoryKey(e, action);
+                return;
+            }
+            
+            // Likewise for the message history and the level overview
+            if (this.isMessageLogOpen) {
+                this.handleMessageLogKey(e, action);
+                return;
+            }
+            if (this.isOverviewOpen) {
+                this.handleOverviewKey(e, action);
+                return;
+            }
+            if (this.isQuestLogOpen) {
+                this.handleQuestLogKey(e, action);
+                return;
+            }
+            if (this.isLooking) {
+                this.handleLookKey(e, action);
+                return;
+            }
+            if (this.core.dialogue) {
+                this.handleDialogueKey(e);
+                return;
+            }
+            if (this.core.shop) {
+                this.handleShopKey(e);
+                return;
+            }
+            
+            // Escape always pauses, whatever the bindings
+            if (e.key === 'Escape' || action === 'pause') {
                 this.togglePause();
                 return;
             }
             
-            if (!this.player || this.isDead || this.isPaused) return;
+            if (!this.core.player || this.core.isDead || this.isPaused) return;
             
-            // Store key state
-            keys[e.key] = true;
+            if (MOVE_ACTIONS[action]) {
+                e.preventDefault(); // Don't let PgUp/PgDn and the arrows scroll the page
+                this.processMovement(action);
+                return;
+            }
             
-            // Process movement based on key combinations
-            this.processMovement(keys);
-        });
-        
-        // Key up event
-        window.addEventListener('keyup', (e) => {
-            // Remove key from pressed keys
-            keys[e.key] = false;
-        });
-    }
-    
-    processMovement(keys) {
-        if (!this.player || this.isDead || this.isPaused) return;  // Don't process movement if dead or paused
-        
-        let dx = 0;
-        let dy = 0;
-        
-        // Calculate direction based on arrow keys
-        if (keys['ArrowUp']) dy -= 1;
-        if (keys['ArrowDown']) dy += 1;
-        if (keys['ArrowLeft']) dx -= 1;
-        if (keys['ArrowRight']) dx += 1;
-        
-        // If no movement, return
-        if (dx === 0 && dy === 0) return;
-        
-        const newX = this.player.x + dx;
-        const newY = this.player.y + dy;
-        
-        // Check for combat
-        const monster = this.monsters.find(m => m.x === newX && m.y === newY);
-        if (monster) {
-            // Player attacks monster
-            const playerDamage = this.performAttack(
-                { damage: this.playerDamage },
-                monster
-            );
+            // Wait a turn (lets monsters come to you in turn-based mode)
+            if (action === 'wait') {
+                this.core.waitTurn();
+                return;
+            }
             
-            // Monster counter-attack if still alive
-            if (monster.health > 0) {
-                // Small delay before counter-attack for better visual feedback
-                setTimeout(() => {
-                    const monsterDamage = this.performAttack(
-                        { damage: this.monsterStats[monster.type].damage },
-                        { health: this.currentHealth, x: this.player.x, y: this.player.y }
-                    );
-                    
-                    // Update player health
-                    this.modifyHealth(-monsterDamage);
-                }, 250);
-            }
-            
-            // Remove monster if dead
-            if (monster.health <= 0) {
-                // Clear any existing combat timeouts for this monster
-                const monsterKey = `${monster.x},${monster.y}`;
-                if (this.recentlyAttacked.has(monsterKey)) {
-                    clearTimeout(this.recentlyAttacked.get(monsterKey));
-                    this.recentlyAttacked.delete(monsterKey);
-                }
-                this.monsters = this.monsters.filter(m => m !== monster);
+            // Pick up items / loot a chest
+            if (action === 'pickUp') {
+                this.core.pickUp();
+                return;
             }
             
-            // Update display
-            this.drawMap();
-            return;
-        }
-        
-        // If no combat, proceed with movement
-        if (this.isValidMove(newX, newY)) {
-            // Check if new position has stairs
-            const tile = this.map[newY][newX];
-            if (tile && tile.feature === 'stairsDown') {
-                this.goDownstairs();
+            // Walk to the stairs down and take them (one step per tick, like click-to-travel)
+            if (action === 'descend') {
+                this.core.travelToStairs();
+                this.lastTravelStepTime = performance.now();
                 return;
             }
             
-            // Check if new position has the victory door (on the final level)
-            if (tile && tile.feature === 'door' && this.currentLevel === MAX_LEVELS) {
-                this.playerWon();
+            // Open the inventory
+            if (action === 'inventory') {
+                this.toggleInventory();
                 return;
             }
             
-            // Update player position
-            this.player.x = newX;
-            this.player.y = newY;
+            // Move a cursor around to see what things are
+            if (action === 'look') {
+                this.toggleLook();
+                return;
+            }
             
-            // Update camera position
-            this.updateCamera();
+            // Open the full message history
+            if (action === 'messageLog') {
+                this.toggleMessageLog();
+                return;
+            }
             
-            // Compute field of view
-            this.computeFOV();
+            // Open the overview of the whole level
+            if (action === 'overview') {
+                this.toggleOverview();
+                return;
+            }
             
-            // Update display
-            this.drawMap();
+            // Open the quest log
+            if (action === 'quests') {
+                this.toggleQuestLog();
+                return;
+            }
             
-            // Update UI with player position
-            this.updateUI();
-        }
+            // Talk to the nearest companion to give them orders
+            if (action === 'orders') {
+                this.core.orderFollower();
+                return;
+            }
+            
+            // Explore until something turns up (walked one step per tick, like click-to-travel)
+            if (action === 'explore') {
+                this.core.autoExplore();
+                this.lastTravelStepTime = performance.now();
+                return;
+            }
+        });
     }
     
-    isValidMove(x, y) {
-        // Check if the coordinates are within the map bounds
-        if (x < 0 || x >= MAP_WIDTH || y < 0 || y >= MAP_HEIGHT) {
-            return false;
-        }
+    // Click or tap a tile to travel there, or a neighbouring monster to attack
+    // it. Hovering over a tile with the mouse describes it, like look mode
+    setupPointerHandlers() {
+        const tileAt = (e) => {
+            const rect = this.canvas.getBoundingClientRect();
+            return { x: this.screenToMapX(e.clientX - rect.left), y: this.screenToMapY(e.clientY - rect.top) };
+        };
         
-        // Check if the tile at the coordinates is passable
-        const tile = this.map[y][x];
+        this.canvas.addEventListener('click', (e) => {
+            const { x, y } = tileAt(e);
+            this.handleMapClick(x, y);
+        });
         
-        // If no tile or it's a wall type, it's impassable
-        if (!tile || this.isWallTile(tile.type)) {
-            return false;
-        }
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.core.player || this.isPaused) return;
+            
+            const { x, y } = tileAt(e);
+            if (this.lookCursor && this.lookCursor.x === x && this.lookCursor.y === y) return;
+            this.moveLookCursor(x, y);
+        });
         
-        // If tile has a feature, check if it's passable
-        if (tile.feature) {
-            const impassableFeatures = ['tree', 'smallTree'];
-            if (impassableFeatures.includes(tile.feature)) {
-                return false;
-            }
+        this.canvas.addEventListener('mouseleave', () => {
+            if (this.isLooking || !this.lookCursor) return;
+            this.lookCursor = null;
+            this.updateLookTooltip();
+            this.drawMap();
+        });
+    }
+    
+    // Is a panel or mode open that takes over the keys (monsters wait meanwhile)?
+    isMenuOpen() {
+        return this.isInventoryOpen || this.isMessageLogOpen || this.isOverviewOpen || this.isQuestLogOpen || this.isLooking || this.core.dialogue !== null || this.core.shop !== null;
+    }
+    
+    handleMapClick(x, y) {
+        if (!this.core.player || this.core.isDead || this.isPaused || this.isMenuOpen()) return;
+        
+        // A neighbouring tile is a single step, or an attack if a monster is there
+        const dx = x - this.core.player.x;
+        const dy = y - this.core.player.y;
+        if (Math.abs(dx) <= 1 && Math.abs(dy) <= 1) {
+            this.core.stopTravel();
+            this.core.movePlayer(dx, dy);
+            return;
         }
         
-        // Check for NPCs at the position
-        for (const npc of this.npcs) {
-            if (npc.x === x && npc.y === y) {
-                return false; // Can't walk through NPCs
-            }
+        // Anything further away is walked to, one step per tick (see animationLoop)
+        if (this.core.travelTo(x, y)) {
+            this.lastTravelStepTime = 0;
         }
+    }
+    
+    // Step, or attack, in the direction of a movement action
+    processMovement(action) {
+        if (!this.core.player || this.core.isDead || this.isPaused) return;  // Don't process movement if dead or paused
         
-        return true;
+        const [dx, dy] = MOVE_ACTIONS[action];
+        this.core.movePlayer(dx, dy);
     }
     
-    isWallTile(tileType) {
-        // List of all wall tile types
-        const wallTypes = [
-            'wallDirtTop', 'wallDirtSide', 'wallInner',
-            'wallStoneTop', 'wallStoneSide',
-            'wallBrickTop', 'wallBrickSide1', 'wallBrickSide2'
-        ];
-        
-        return wallTypes.includes(tileType);
-    }
-    
-    defineTileTypes() {
-        // Define coordinates for each tile in the tileset
-        // Format: [row, col] - starting from 0
-        this.tiles = {
-            // Walls
-            'wallDirtTop': [0, 0],
-            'wallDirtSide': [0, 1],
-            'wallInner': [0, 2],
-            'wallStoneTop': [1, 0],
-            'wallStoneSide': [1, 1],
-            'wallBrickTop': [2, 0],
-            'wallBrickSide1': [2, 1],
-            'wallBrickSide2': [2, 2],
-            
-            // Floors
-            'floorDark': [6, 0],
-            'floorStone1': [6, 1],
-            'floorStone2': [6, 2],
-            'floorStone3': [6, 3],
-            'floorGrass1': [7, 1],
-            'floorGrass2': [7, 2],
-            'floorGrass3': [7, 3],
-            'floorDirt1': [8, 1],
-            'floorDirt2': [8, 2],
-            'floorDirt3': [8, 3],
-            
-            // Features
-            'door': [16, 0],
-            'chest': [17, 0],
-            'tree': [25, 3],
-            'smallTree': [25, 2],
-            'sapling': [25, 0],
-            'mushroom': [20, 1],
-            'stairsDown': [16, 7] // Add stairs down from the tileset
-        };
+    // The action bound to a key press, if any. Letters match either case,
+    // so Caps Lock doesn't get in the way
+    getKeyAction(e) {
+        return this.actionsByKey[this.normalizeKey(e.key)] || null;
     }
     
-    defineCharacterTypes() {
-        // Define coordinates for each character in the rogues tileset
-        // Format: [row, col] - starting from 0
-        this.characters = {
-            // Row 1
-            'dwarf': [0, 0],
-            'elf': [0, 1],
-            'ranger': [0, 2],
-            'rogue': [0, 3],
-            'bandit': [0, 4],
-            
-            // Row 2
-            'knight': [1, 0],
-            'maleFighter': [1, 1],
-            'femaleKnight': [1, 2],
-            'femaleKnightNoHelmet': [1, 3],
-            'shieldKnight': [1, 4],
-            
-            // Row 3
-            'monk': [2, 0],
-            'priest': [2, 1],
-            'femaleWarCleric': [2, 2],
-            'maleWarCleric': [2, 3],
-            'templar': [2, 4],
-            'schemaMonk': [2, 5],
-            'elderSchemaMonk': [2, 6],
-            
-            // Row 4
-            'maleBarbarian': [3, 0],
-            'maleWinterBarbarian': [3, 1],
-            'femaleWinterBarbarian': [3, 2],
-            'swordsman': [3, 3],
-            'fencer': [3, 4],
-            'femaleBarbarian': [3, 5],
-            
-            // Row 5
-            'femaleWizard': [4, 0],
-            'maleWizard': [4, 1],
-            'druid': [4, 2],
-            'desertSage': [4, 3],
-            'dwarfMage': [4, 4],
-            'warlock': [4, 5],
-            
-            // Row 6 - Commoners
-            'farmer1': [6, 0],
-            'farmer2': [6, 1],
-            'farmer3': [6, 2],
-            'baker': [6, 3],
-            'blacksmith': [6, 4],
-            'scholar': [6, 5],
-            
-            // Row 7 - Peasants
-            'peasant1': [7, 0],
-            'peasant2': [7, 1],
-            'shopkeep': [7, 2],
-            'elderlyWoman': [7, 3],
-            'elderlyMan': [7, 4]
-        };
+    normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
     }
     
-    defineMonsterTypes() {
-        // Define coordinates for each monster in the monsters tileset
-        // Format: [row, col] - starting from 0
-        this.monsterTypes = {
-            // Row 1 - Orcs and Goblins
-            'orc': [0, 0],
-            'orcWizard': [0, 1],
-            'goblin': [0, 2],
-            'orcBlademaster': [0, 3],
-            'orcWarchief': [0, 4],
-            'goblinArcher': [0, 5],
-            'goblinMage': [0, 6],
-            'goblinBrute': [0, 7],
-            
-            // Row 5 - Undead
-            'skeleton': [4, 0],
-            'skeletonArcher': [4, 1],
-            'zombie': [4, 4],
-            'ghoul': [4, 5],
-            
-            // Row 7 - Basic monsters
-            'giantSpider': [6, 8],
-            'lesserGiantSpider': [6, 9],
-            'giantRat': [6, 11],
-            
-            // Row 11 - Fungi
-            'smallMyconid': [10, 0],
-            'largeMyconid': [10, 1]
-        };
+    // The keys bound to an action, as shown on screen ("G / ,")
+    formatKeys(action) {
+        const keys = this.settings.keyBindings[action];
+        if (keys.length === 0) return 'unbound';
+        return keys.map(key => KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key)).join(' / ');
     }
     
-    generateMap() {
-        // Initialize empty map
-        this.map = new Array(MAP_HEIGHT);
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            this.map[y] = new Array(MAP_WIDTH);
-        }
-        
-        // Generate a basic cellular automata map using ROT.js
-        const generator = new ROT.Map.Cellular(MAP_WIDTH, MAP_HEIGHT);
-        
-        // Adjust map size based on level - early levels are smaller
-        let effectiveWidth = MAP_WIDTH;
-        let effectiveHeight = MAP_HEIGHT;
-        let marginX = 0;
-        let marginY = 0;
-        
-        if (this.currentLevel <= 3) {
-            // First 3 levels are smaller (60% of full size)
-            effectiveWidth = Math.floor(MAP_WIDTH * 0.6);
-            effectiveHeight = Math.floor(MAP_HEIGHT * 0.6);
-            marginX = Math.floor((MAP_WIDTH - effectiveWidth) / 2);
-            marginY = Math.floor((MAP_HEIGHT - effectiveHeight) / 2);
-        } else {
-            // Levels 4-5 are medium sized (80% of full size)
-            effectiveWidth = Math.floor(MAP_WIDTH * 0.8);
-            effectiveHeight = Math.floor(MAP_HEIGHT * 0.8);
-            marginX = Math.floor((MAP_WIDTH - effectiveWidth) / 2);
-            marginY = Math.floor((MAP_HEIGHT - effectiveHeight) / 2);
-        }
-        
-        // Adjust randomization based on depth for variety
-        const wallChance = 0.45 + (this.currentLevel * 0.01); // Slightly increase wall density with depth
-        generator.randomize(wallChance);
-        
-        // Run 4 generations of the automaton
-        for (let i = 0; i < 4; i++) {
-            generator.create();
-        }
-        
-        // Create a temporary map to store generated data
-        let tempMap = new Array(MAP_HEIGHT);
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            tempMap[y] = new Array(MAP_WIDTH);
-            
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                // Initialize with walls
-                tempMap[y][x] = 1;
-                
-                // Set wall types based on level theme
-                let wallType;
-                switch (this.currentLevel) {
-                    case 1: wallType = 'wallDirtTop'; break;     // Level 1: Dirt/Cave theme
-                    case 2: wallType = 'wallStoneTop'; break;    // Level 2: Stone theme
-                    case 3: wallType = 'wallBrickTop'; break;    // Level 3: Brick theme
-                    case 4: wallType = 'wallStoneSide'; break;   // Level 4: Stone side walls
-                    case 5: wallType = 'wallBrickSide1'; break;  // Level 5: Brick side walls
-                    default: wallType = 'wallStoneTop';
-                }
-                
-                this.map[y][x] = { type: wallType };
-            }
+    getPresetBindings(preset) {
+        return Object.assign({}, COMMON_KEY_BINDINGS, KEY_PRESETS[preset].bindings);
+    }
+    
+    // Look up actions by key from the current bindings. Actions missing from
+    // saved bindings (added since they were saved) get their preset keys
+    applyKeyBindings() {
+        const presetBindings = this.getPresetBindings(KEY_PRESETS[this.settings.keyPreset] ? this.settings.keyPreset : 'arrows');
+        if (typeof this.settings.keyBindings !== 'object' || this.settings.keyBindings === null) {
+            this.settings.keyBindings = {};
         }
         
-        // Let the generator fill our map using a callback
-        generator.create((x, y, value) => {
-            // Only process cells within the effective area
-            if (x < marginX || x >= marginX + effectiveWidth || 
-                y < marginY || y >= marginY + effectiveHeight) {
-                // Outside effective area - keep as wall
-                tempMap[y][x] = 1;
-                
-                // Set wall types based on level theme
-                let wallType;
-                switch (this.currentLevel) {
-                    case 1: wallType = 'wallDirtTop'; break;     // Level 1: Dirt/Cave theme
-                    case 2: wallType = 'wallStoneTop'; break;    // Level 2: Stone theme
-                    case 3: wallType = 'wallBrickTop'; break;    // Level 3: Brick theme
-                    case 4: wallType = 'wallStoneSide'; break;   // Level 4: Stone side walls
-                    case 5: wallType = 'wallBrickSide1'; break;  // Level 5: Brick side walls
-                    default: wallType = 'wallStoneTop';
-                }
-                
-                this.map[y][x] = { type: wallType };
-            } else {
-                // Within effective area - use generated value
-                // value = 1 for floor, 0 for wall in ROT.js
-                const isWall = value === 0;
-                tempMap[y][x] = isWall ? 1 : 0;
-                
-                if (isWall) {
-                    // Set wall types based on level theme
-                    let wallType;
-                    switch (this.currentLevel) {
-                        case 1: wallType = 'wallDirtTop'; break;     // Level 1: Dirt/Cave theme
-                        case 2: wallType = 'wallStoneTop'; break;    // Level 2: Stone theme
-                        case 3: wallType = 'wallBrickTop'; break;    // Level 3: Brick theme
-                        case 4: wallType = 'wallStoneSide'; break;   // Level 4: Stone side walls
-                        case 5: wallType = 'wallBrickSide1'; break;  // Level 5: Brick side walls
-                        default: wallType = 'wallStoneTop';
-                    }
-                    
-                    this.map[y][x] = { type: wallType };
-                } else {
-                    // Set floor types based on level theme
-                    let floorTypes;
-                    switch (this.currentLevel) {
-                        case 1: 
-                            floorTypes = ['floorDirt1', 'floorDirt2', 'floorDirt3']; 
-                            break;
-                        case 2: 
-                            floorTypes = ['floorStone1', 'floorStone2']; 
-                            break;
-                        case 3: 
-                            floorTypes = ['floorStone2', 'floorStone3']; 
-                            break;
-                        case 4: 
-                            floorTypes = ['floorGrass1', 'floorGrass2']; 
-                            break;
-                        case 5: 
-                            floorTypes = ['floorStone3', 'floorDark']; 
-                            break;
-                        default: 
-                            floorTypes = ['floorStone1', 'floorStone2'];
-                    }
-                    
-                    const floorType = floorTypes[Math.floor(Math.random() * floorTypes.length)];
-                    this.map[y][x] = { type: floorType };
-                }
+        this.actionsByKey = {};
+        for (const action of Object.keys(KEY_ACTIONS)) {
+            if (!Array.isArray(this.settings.keyBindings[action])) {
+                this.settings.keyBindings[action] = presetBindings[action]
+                    .filter(key => !Object.values(this.settings.keyBindings).some(keys => Array.isArray(keys) && keys.includes(key)));
             }
-        });
-        
-        // Find all connected floor regions
-        const regions = this.findConnectedRegions(tempMap);
-        
-        // Sort regions by size (largest first)
-        regions.sort((a, b) => b.length - a.length);
-        
-        // Make sure there's at least one region
-        if (regions.length === 0) {
-            console.error("No floor regions found, regenerating map...");
-            return this.generateMap(); // Recursively try again
-        }
-        
-        // Keep only the largest region, fill others with walls
-        const largestRegion = regions[0];
-        
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                const key = `${x},${y}`;
-                
-                // If not in largest region and not a wall, convert to wall
-                if (tempMap[y][x] === 0 && !largestRegion.some(pos => pos.x === x && pos.y === y)) {
-                    tempMap[y][x] = 1;
-                    
-                    // Set wall types based on level theme
-                    let wallType;
-                    switch (this.currentLevel) {
-                        case 1: wallType = 'wallDirtTop'; break;     // Level 1: Dirt/Cave theme
-                        case 2: wallType = 'wallStoneTop'; break;    // Level 2: Stone theme
-                        case 3: wallType = 'wallBrickTop'; break;    // Level 3: Brick theme
-                        case 4: wallType = 'wallStoneSide'; break;   // Level 4: Stone side walls
-                        case 5: wallType = 'wallBrickSide1'; break;  // Level 5: Brick side walls
-                        default: wallType = 'wallStoneTop';
-                    }
-                    
-                    this.map[y][x] = { type: wallType };
-                }
+            
+            for (const key of this.settings.keyBindings[action]) {
+                this.actionsByKey[key] = action;
             }
         }
-        
-        // Add stairs down on levels 1-4, or victory door on level 5
-        if (this.currentLevel < MAX_LEVELS) {
-            this.placeFeatureOnEmptyFloor('stairsDown');
-        } else {
-            // On the final level, place a victory door instead of stairs
-            this.placeFeatureOnEmptyFloor('door');
-        }
     }
     
-    findConnectedRegions(tempMap) {
-        const regions = [];
-        const visited = new Set();
-        
-        // Search through all tiles
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                const key = `${x},${y}`;
-                
-                // Skip if already visited or if it's a wall (1)
-                if (visited.has(key) || tempMap[y][x] === 1) {
-                    continue;
-                }
-                
-                // Found an unvisited floor tile, flood fill from here
-                const region = this.floodFill(tempMap, x, y, visited);
-                regions.push(region);
-            }
-        }
-        
-        return regions;
+    setKeyPreset(preset) {
+        this.settings.keyPreset = preset;
+        this.settings.keyBindings = this.getPresetBindings(preset);
+        this.saveSettings();
+        this.applyKeyBindings();
     }
     
-    floodFill(tempMap, startX, startY, visited) {
-        const region = [];
-        const queue = [{x: startX, y: startY}];
-        
-        while (queue.length > 0) {
-            const {x, y} = queue.shift();
-            const key = `${x},${y}`;
-            
-            // Skip if already visited
-            if (visited.has(key)) continue;
-            
-            // Add to visited set
-            visited.add(key);
-            region.push({x, y});
-            
-            // Check all 4 neighbors
-            const neighbors = [
-                {x: x-1, y: y},
-                {x: x+1, y: y},
-                {x: x, y: y-1},
-                {x: x, y: y+1}
-            ];
-            
-            for (const neighbor of neighbors) {
-                const nx = neighbor.x;
-                const ny = neighbor.y;
-                const neighborKey = `${nx},${ny}`;
-                
-                // Skip if out of bounds, already visited, or a wall (1)
-                if (nx < 0 || ny < 0 || nx >= MAP_WIDTH || ny >= MAP_HEIGHT || 
-                    visited.has(neighborKey) || tempMap[ny][nx] === 1) {
-                    continue;
-                }
-                
-                queue.push(neighbor);
-            }
+    // Bind a key to an action in place of its current keys, taking the key
+    // away from any other action that had it
+    bindKey(action, key) {
+        key = this.normalizeKey(key);
+        for (const keys of Object.values(this.settings.keyBindings)) {
+            const index = keys.indexOf(key);
+            if (index !== -1) keys.splice(index, 1);
         }
+        this.settings.keyBindings[action] = [key];
         
-        return region;
+        this.settings.keyPreset = 'custom';
+        this.saveSettings();
+        this.applyKeyBindings();
     }
     
-    placeFeatureOnEmptyFloor(featureType) {
-        // Get all available floor tiles with no features
-        const availableTiles = [];
-        
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                if (this.map[y][x] && 
-                    !this.isWallTile(this.map[y][x].type) && 
-                    !this.map[y][x].feature) {
-                    availableTiles.push({x, y});
-                }
-            }
-        }
-        
-        // If there are available tiles, place the feature on a random one
-        if (availableTiles.length > 0) {
-            const randomIndex = Math.floor(Math.random() * availableTiles.length);
-            const {x, y} = availableTiles[randomIndex];
-            this.map[y][x].feature = featureType;
-            return true;
-        }
-        
-        return false;
-    }
     
-    placeFeatureOnSpecificFloor(featureType, validFloorTypes) {
-        // Get all available floor tiles of the specified types with no features
-        const availableTiles = [];
-        
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                if (this.map[y][x] && 
-                    validFloorTypes.includes(this.map[y][x].type) && 
-                    !this.map[y][x].feature) {
-                    availableTiles.push({x, y});
-                }
-            }
-        }
-        
-        // If there are available tiles, place the feature on a random one
-        if (availableTiles.length > 0) {
-            const randomIndex = Math.floor(Math.random() * availableTiles.length);
-            const {x, y} = availableTiles[randomIndex];
-            this.map[y][x].feature = featureType;
-            return true;
-        }
-        
-        return false;
-    }
-    
-    placeCharacters() {
-        // Empty the NPCs array
-        this.npcs = [];
-        
-        // Characters to use for NPCs - adjust based on level theme
-        let npcTypes;
-        
-        switch (this.currentLevel) {
-            case 1:
-                // Level 1: Simple village folk
-                npcTypes = [
-                    'peasant1', 'peasant2', 'farmer1', 'farmer2'
-                ];
-                break;
-            case 2:
-                // Level 2: Town folk
-                npcTypes = [
-                    'baker', 'blacksmith', 'scholar', 'elderlyWoman', 'elderlyMan'
-                ];
-                break;
-            case 3:
-                // Level 3: Adventurers
-                npcTypes = [
-                    'ranger', 'knight', 'maleFighter', 'femaleKnight'
-                ];
-                break;
-            case 4:
-                // Level 4: Combat specialists
-                npcTypes = [
-                    'monk', 'priest', 'swordsman', 'fencer'
-                ];
-                break;
-            case 5:
-                // Level 5: High-level adventurers
-                npcTypes = [
-                    'maleBarbarian', 'femaleBarbarian', 'maleWizard', 'femaleWizard',
-                    'warlock', 'templar'
-                ];
-                break;
-            default:
-                npcTypes = [
-                    'peasant1', 'monk', 'knight'
-                ];
-        }
-        
-        // Place player character at the center of the map
-        const centerX = Math.floor(MAP_WIDTH / 2);
-        const centerY = Math.floor(MAP_HEIGHT / 2);
-        
-        // Find the nearest valid position to the center
-        let playerX = centerX;
-        let playerY = centerY;
-        let searchRadius = 0;
-        let playerPlaced = false;
-        
-        while (!playerPlaced && searchRadius < Math.max(MAP_WIDTH, MAP_HEIGHT)) {
-            for (let dy = -searchRadius; dy <= searchRadius; dy++) {
-                for (let dx = -searchRadius; dx <= searchRadius; dx++) {
-                    const x = centerX + dx;
-                    const y = centerY + dy;
-                    
-                    if (this.isValidMove(x, y)) {
-                        playerX = x;
-                        playerY = y;
-                        playerPlaced = true;
-                        break;
-                    }
-                }
-                if (playerPlaced) break;
-            }
-            searchRadius++;
-        }
-        
-        if (playerPlaced) {
-            this.player = {
-                x: playerX,
-                y: playerY,
-                type: 'rogue' // Player is a rogue
-            };
-        } else {
-            // This shouldn't happen with our improved map generation, but just in case
-            console.error("No valid position found for player placement.");
-            return;
-        }
-        
-        // Place NPCs (fewer NPCs at deeper levels)
-        const numNPCs = Math.max(2, 7 - this.currentLevel);
-        
-        for (let i = 0; i < numNPCs; i++) {
-            // Get available positions (no player, no other NPCs, valid move)
-            const availableForNPC = [];
-            for (let y = 0; y < MAP_HEIGHT; y++) {
-                for (let x = 0; x < MAP_WIDTH; x++) {
-                    // Check if position is valid for an NPC
-                    if (this.isValidMove(x, y) && 
-                        !(this.player.x === x && this.player.y === y) &&
-                        !this.npcs.some(npc => npc.x === x && npc.y === y)) {
-                        availableForNPC.push({x, y});
-                    }
-                }
-            }
-            
-            // If there are no more available positions, stop adding NPCs
-            if (availableForNPC.length === 0) break;
-            
-            // Choose a random position and NPC type
-            const randomPos = availableForNPC[Math.floor(Math.random() * availableForNPC.length)];
-            const npcType = npcTypes[Math.floor(Math.random() * npcTypes.length)];
-            
-            // Add NPC to the list
-            this.npcs.push({
-                x: randomPos.x,
-                y: randomPos.y,
-                type: npcType
+    // Fetch one data file or manifest for the resource loader; read turns the
+    // response into its contents and store keeps them
+    loadContentFile(file, read, store) {
+        fetch(file)
+            .then(response => {
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                return read(response);
+            })
+            .then(store)
+            .catch(error => {
+                this.contentLoadErrors.push(`${file}: could not be loaded (${error.message})`);
+            })
+            .finally(() => {
+                this.resourcesLoaded++;
+                this.checkAllResourcesLoaded();
             });
-        }
     }
     
-    placeMonsters() {
-        // Clear existing monsters
-        this.monsters = [];
-        
-        // Number of monsters increases with depth
-        const numMonsters = BASE_MONSTERS + Math.floor(this.currentLevel * 1.5);
-        
-        // Different monster pools based on depth/level
-        let monsterPool;
-        switch (this.currentLevel) {
-            case 1:
-                monsterPool = ['goblin', 'giantRat'];
-                break;
-            case 2:
-                monsterPool = ['goblin', 'goblinArcher', 'smallMyconid'];
-                break;
-            case 3:
-                monsterPool = ['orc', 'goblinArcher', 'largeMyconid'];
-                break;
-            case 4:
-                monsterPool = ['orc', 'orcBlademaster', 'giantSpider'];
-                break;
-            case 5:
-                monsterPool = ['orcWizard', 'skeleton', 'ghoul'];
-                break;
-            default:
-                monsterPool = ['goblin', 'orc', 'skeleton'];
-        }
-        
-        // Calculate monster density based on actual available floor space
-        let floorTileCount = 0;
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                if (this.isValidMove(x, y)) {
-                    floorTileCount++;
-                }
+    // Give the loaded data files to the core and look up the sprites they name
+    // for drawing. If a file is missing or broken, say what's wrong instead of
+    // starting and return false.
+    applyContent() {
+        try {
+            if (this.contentLoadErrors.length > 0) {
+                throw new Error(`The game data could not be loaded:\n${this.contentLoadErrors.join('\n')}`);
             }
+            this.core.loadContent(this.content);
+        } catch (error) {
+            console.error(error.message);
+            this.showContentError(error.message);
+            return false;
         }
         
-        // Adjust monster count based on available floor space
-        // Ensure reasonable density regardless of map size
-        const adjustedNumMonsters = Math.min(
-            numMonsters, 
-            Math.floor(floorTileCount * 0.1) // Max 10% of floor tiles have monsters
+        // Type -> [row, column] in its sprite sheet, resolved once up front
+        const resolve = (names, sheet) => Object.fromEntries(
+            Object.entries(names).map(([type, name]) => [type, this.core.getSprite(sheet, name)])
+        );
+        this.tiles = resolve(this.content.tiles, 'tiles');                // Tiles and features in tiles.png
+        this.characters = resolve(this.content.characters, 'characters'); // Player and NPCs in rogues.png
+        this.monsterTypes = resolve(                                      // Monsters in monsters.png
+            Object.fromEntries(Object.entries(this.content.monsters).map(([type, monster]) => [type, monster.sprite])),
+            'monsters'
         );
         
-        console.log(`Placing ${adjustedNumMonsters} monsters on level ${this.currentLevel} with ${floorTileCount} floor tiles`);
-        
-        for (let i = 0; i < adjustedNumMonsters; i++) {
-            // Get available positions (no player, no NPCs, no other monsters, valid move)
-            const availableSpots = [];
-            for (let y = 0; y < MAP_HEIGHT; y++) {
-                for (let x = 0; x < MAP_WIDTH; x++) {
-                    if (this.isValidMove(x, y) && 
-                        !(this.player.x === x && this.player.y === y) &&
-                        !this.npcs.some(npc => npc.x === x && npc.y === y) &&
-                        !this.monsters.some(monster => monster.x === x && monster.y === y) &&
-                        !(this.map[y][x].feature === 'stairsDown') &&
-                        !(this.map[y][x].feature === 'door')) {  // Don't block stairs or victory door with monsters
-                        availableSpots.push({x, y});
-                    }
-                }
-            }
-            
-            if (availableSpots.length === 0) break;
-            
-            const spot = availableSpots[Math.floor(Math.random() * availableSpots.length)];
-            const monsterType = monsterPool[Math.floor(Math.random() * monsterPool.length)];
-            
-            // Create monster with health
-            this.monsters.push({
-                x: spot.x,
-                y: spot.y,
-                type: monsterType,
-                health: this.monsterStats[monsterType].health,
-                maxHealth: this.monsterStats[monsterType].health,
-                lastMoveTime: 0
-            });
+        // Animation frames run along the row from the named sprite
+        this.animationFrames = {};
+        for (const [type, animation] of Object.entries(this.content.animatedTiles)) {
+            const [row, column] = this.core.getSprite('animatedTiles', animation.sprite);
+            this.animationFrames[type] = Array.from({ length: animation.frames }, (_, i) => [row, column + i]);
         }
+        return true;
     }
     
-    moveMonsters() {
-        if (!this.player) return;
-        
-        this.monsters.forEach(monster => {
-            // For real-time movement, we now use the interval timer instead of random chance
-            // So every monster will attempt to move each time this is called
-            
-            // Choose a random direction
-            const directions = [
-                {x: -1, y: 0},
-                {x: 1, y: 0},
-                {x: 0, y: -1},
-                {x: 0, y: 1}
-            ];
-            
-            // Basic AI: Move towards player if nearby, otherwise move randomly
-            let direction;
-            const distanceToPlayer = Math.abs(monster.x - this.player.x) + Math.abs(monster.y - this.player.y);
-            
-            // If player is nearby (within 5 tiles), try to move towards them
-            if (distanceToPlayer < 5) {
-                // Simple pathfinding: move in the direction that brings us closer to player
-                const dx = this.player.x > monster.x ? 1 : (this.player.x < monster.x ? -1 : 0);
-                const dy = this.player.y > monster.y ? 1 : (this.player.y < monster.y ? -1 : 0);
-                
-                // Try horizontal or vertical movement with equal chance
-                direction = Math.random() < 0.5 && dx !== 0 ? {x: dx, y: 0} : {x: 0, y: dy !== 0 ? dy : 0};
-                
-                // If no preferred direction, use random movement
-                if (direction.x === 0 && direction.y === 0) {
-                    direction = directions[Math.floor(Math.random() * directions.length)];
-                }
-            } else {
-                // Random movement when player is far away
-                direction = directions[Math.floor(Math.random() * directions.length)];
-            }
-            
-            const newX = monster.x + direction.x;
-            const newY = monster.y + direction.y;
-            
-            // Check if monster is adjacent to player - if so, attack instead of moving
-            if (Math.abs(monster.x - this.player.x) <= 1 && 
-                Math.abs(monster.y - this.player.y) <= 1) {
-                
-                // Monster attacks player
-                const damage = this.performAttack(
-                    { damage: this.monsterStats[monster.type].damage },
-                    { health: this.currentHealth, x: this.player.x, y: this.player.y }
-                );
-                
-                // Update player health
-                this.modifyHealth(-damage);
-                return;
-            }
-            
-            // Otherwise try to move (normal movement logic)
-            if (this.isValidMove(newX, newY) && 
-                !(this.player.x === newX && this.player.y === newY) &&
-                !this.npcs.some(npc => npc.x === newX && npc.y === newY) &&
-                !this.monsters.some(m => m.x === newX && m.y === newY)) {
-                
-                monster.x = newX;
-                monster.y = newY;
-            }
-        });
+    // The [row, column] of a type's sprite from one of the maps built in
+    // applyContent. The core only uses types the data files give sprites, so
+    // a missing one is a bug: say which instead of drawing the wrong thing.
+    getSprite(sprites, type, file) {
+        const sprite = sprites[type];
+        if (!sprite) throw new Error(`"${type}" has no sprite - add it to ${file}`);
+        return sprite;
     }
     
-    goDownstairs() {
-        // Increment level counter
-        this.currentLevel++;
-        
-        // Generate a new level
-        this.generateMap();
-        
-        // Place player, NPCs, and add more variety with depth
-        this.placeCharacters();
-        
-        // Place firepit near the spawn point
-        this.placeFirepits();
-        
-        // Place monsters with more variety at deeper levels
-        this.placeMonsters();
-        
-        // Calculate field of view for new level
-        this.computeFOV();
-        
-        // Update camera for new player position
-        this.updateCamera();
-        
-        // Draw the new level
-        this.drawMap();
-        
-        // Update UI
-        this.updateUI();
-        
-        // Show level transition message
-        this.showLevelMessage();
+    // Full-screen report of problems in the data files
+    showContentError(message) {
+        const errorScreen = document.createElement('div');
+        errorScreen.id = 'content-error';
+        errorScreen.style.position = 'absolute';
+        errorScreen.style.top = '50%';
+        errorScreen.style.left = '50%';
+        errorScreen.style.transform = 'translate(-50%, -50%)';
+        errorScreen.style.maxWidth = '80%';
+        errorScreen.style.maxHeight = '80%';
+        errorScreen.style.overflowY = 'auto';
+        errorScreen.style.color = 'white';
+        errorScreen.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+        errorScreen.style.border = '1px solid #a33';
+        errorScreen.style.padding = '20px';
+        errorScreen.style.borderRadius = '10px';
+        errorScreen.style.zIndex = '1000';
+        
+        const title = document.createElement('div');
+        title.textContent = 'Gladelike could not start';
+        title.style.fontSize = '24px';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '15px';
+        errorScreen.appendChild(title);
+        
+        const details = document.createElement('pre');
+        details.textContent = message;
+        details.style.whiteSpace = 'pre-wrap';
+        details.style.fontSize = '14px';
+        details.style.color = '#f99';
+        details.style.margin = '0';
+        errorScreen.appendChild(details);
+        
+        document.getElementById('game-container').appendChild(errorScreen);
     }
     
     showLevelMessage() {
         // Add a temporary level transition message to the screen
         const message = document.createElement('div');
         
-        // Different messages for each level to enhance theme
-        let levelMessage;
-        switch (this.currentLevel) {
-            case 1:
-                levelMessage = "The Caves - Level 1";
-                break;
-            case 2:
-                levelMessage = "The Tunnels - Level 2";
-                break;
-            case 3:
-                levelMessage = "The Catacombs - Level 3";
-                break;
-            case 4:
-                levelMessage = "The Overgrown Ruins - Level 4";
-                break;
-            case 5:
-                levelMessage = "The Ancient Temple - Level 5";
-                break;
-            default:
-                levelMessage = `Descending to level ${this.currentLevel}...`;
-        }
+        // Each level's theme has its own name
+        const levelMessage = `${this.core.getLevelTheme().name} - Level ${this.core.currentLevel}`;
         
         message.textContent = levelMessage;
         message.style.position = 'absolute';
@@ -1137,32 +909,29 @@ class GladelikeGame {
             levelIndicator.style.fontFamily = 'Arial, sans-serif';
             levelIndicator.style.textShadow = '2px 2px 3px rgba(0,0,0,0.8)';
             
+            const nameLabel = document.createElement('span');
+            nameLabel.id = 'level-name';
+            levelIndicator.appendChild(nameLabel);
+            
+            // Show the run seed next to the level so players can share it
+            const seedIndicator = document.createElement('span');
+            seedIndicator.id = 'seed-indicator';
+            seedIndicator.style.marginLeft = '10px';
+            seedIndicator.style.color = '#aaa';
+            seedIndicator.style.fontSize = '12px';
+            seedIndicator.style.fontFamily = 'monospace';
+            seedIndicator.style.userSelect = 'text';
+            seedIndicator.title = 'Share this seed to replay the same dungeon';
+            levelIndicator.appendChild(seedIndicator);
+            
             document.getElementById('game-container').appendChild(levelIndicator);
         }
         
-        // Get level name based on current level
-        let levelName;
-        switch (this.currentLevel) {
-            case 1:
-                levelName = "The Caves";
-                break;
-            case 2:
-                levelName = "The Tunnels";
-                break;
-            case 3:
-                levelName = "The Catacombs";
-                break;
-            case 4:
-                levelName = "The Overgrown Ruins";
-                break;
-            case 5:
-                levelName = "The Ancient Temple";
-                break;
-            default:
-                levelName = `Level ${this.currentLevel}`;
-        }
-        
-        levelIndicator.textContent = `${levelName} (Level ${this.currentLevel})`;
+        // Get level name from the level's theme
+        const levelName = this.core.getLevelTheme().name;
+        
+        document.getElementById('level-name').textContent = `${levelName} (Level ${this.core.currentLevel})`;
+        document.getElementById('seed-indicator').textContent = `Seed: ${this.core.seed}`;
 
         // Create or update the pause button
         let pauseButton = document.getElementById('pause-button');
@@ -1267,39 +1036,1041 @@ class GladelikeGame {
             document.getElementById('game-container').appendChild(healthBar);
         }
         
-        // Update health bar fill
-        const healthFill = document.getElementById('health-fill');
-        const healthPercentage = (this.currentHealth / this.maxHealth) * 100;
-        healthFill.style.width = `${healthPercentage}%`;
+        // Update health bar fill
+        const healthFill = document.getElementById('health-fill');
+        const healthPercentage = (this.core.currentHealth / this.core.maxHealth) * 100;
+        healthFill.style.width = `${healthPercentage}%`;
+        
+        // Update health text
+        const healthText = document.getElementById('health-text');
+        if (healthText) {
+            healthText.textContent = `${Math.round(this.core.currentHealth)} / ${this.core.maxHealth}`;
+        }
+        
+        // Create or update the experience bar, to the right of the health bar
+        let xpBar = document.getElementById('xp-bar-container');
+        
+        if (!xpBar) {
+            xpBar = document.createElement('div');
+            xpBar.id = 'xp-bar-container';
+            xpBar.style.position = 'absolute';
+            xpBar.style.top = '45px';
+            xpBar.style.left = '230px';
+            xpBar.style.padding = '5px 10px';
+            xpBar.style.borderRadius = '3px';
+            xpBar.style.width = '200px';
+            xpBar.style.fontFamily = 'Arial, sans-serif';
+            
+            // Character level badge
+            const badge = document.createElement('span');
+            badge.id = 'xp-level';
+            badge.style.color = 'white';
+            badge.style.marginRight = '5px';
+            badge.style.fontSize = '12px';
+            badge.style.fontWeight = 'bold';
+            badge.style.textShadow = '2px 2px 3px rgba(0,0,0,0.8)';
+            xpBar.appendChild(badge);
+            
+            const bar = document.createElement('div');
+            bar.id = 'xp-bar';
+            bar.style.height = '15px';
+            bar.style.width = '150px';
+            bar.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+            bar.style.borderRadius = '7px';
+            bar.style.overflow = 'hidden';
+            bar.style.display = 'inline-block';
+            bar.style.verticalAlign = 'middle';
+            bar.style.boxShadow = '0 0 5px rgba(0,0,0,0.5)';
+            
+            const fill = document.createElement('div');
+            fill.id = 'xp-fill';
+            fill.style.height = '100%';
+            fill.style.width = '0%';
+            fill.style.background = 'linear-gradient(to right, #4facfe, #a18cd1)';
+            fill.style.transition = 'width 0.3s ease-in-out';
+            bar.appendChild(fill);
+            
+            xpBar.appendChild(bar);
+            
+            const xpText = document.createElement('div');
+            xpText.id = 'xp-text';
+            xpText.style.color = 'white';
+            xpText.style.marginTop = '5px';
+            xpText.style.fontSize = '12px';
+            xpText.style.textShadow = '1px 1px 2px rgba(0,0,0,0.8)';
+            xpBar.appendChild(xpText);
+            
+            document.getElementById('game-container').appendChild(xpBar);
+        }
+        
+        const xpToNextLevel = this.core.getXpToNextLevel();
+        document.getElementById('xp-level').textContent = `Lv ${this.core.playerLevel}`;
+        document.getElementById('xp-fill').style.width = `${(this.core.xp / xpToNextLevel) * 100}%`;
+        document.getElementById('xp-text').textContent = `${this.core.xp} / ${xpToNextLevel} XP`;
+        
+        // Create or update the gold counter, to the right of the experience bar
+        let goldIndicator = document.getElementById('gold-indicator');
+        
+        if (!goldIndicator) {
+            goldIndicator = document.createElement('div');
+            goldIndicator.id = 'gold-indicator';
+            goldIndicator.style.position = 'absolute';
+            goldIndicator.style.top = '45px';
+            goldIndicator.style.left = '450px';
+            goldIndicator.style.padding = '5px 10px';
+            goldIndicator.style.color = 'gold';
+            goldIndicator.style.fontFamily = 'Arial, sans-serif';
+            goldIndicator.style.fontSize = '14px';
+            goldIndicator.style.fontWeight = 'bold';
+            goldIndicator.style.textShadow = '2px 2px 3px rgba(0,0,0,0.8)';
+            goldIndicator.title = 'Gold';
+            document.getElementById('game-container').appendChild(goldIndicator);
+        }
+        goldIndicator.textContent = `💰 ${this.core.gold}`;
+        
+        this.updateCompanionPanel();
+        
+        // Keep the inventory and shop panels in step with the core
+        if (this.isInventoryOpen) {
+            this.updateInventoryPanel();
+        }
+        if (this.core.shop) {
+            this.updateShopPanel();
+        }
+    }
+    
+    // List the companions on this level below the health bar, with their
+    // health and orders. Hidden while the player has none here.
+    updateCompanionPanel() {
+        let panel = document.getElementById('companion-panel');
+        
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'companion-panel';
+            panel.style.position = 'absolute';
+            panel.style.top = '95px';
+            panel.style.left = '10px';
+            panel.style.padding = '0 10px';
+            panel.style.fontFamily = 'Arial, sans-serif';
+            panel.style.fontSize = '12px';
+            panel.style.color = 'white';
+            panel.style.textShadow = '1px 1px 2px rgba(0,0,0,0.8)';
+            document.getElementById('game-container').appendChild(panel);
+        }
+        
+        const followers = this.core.npcs.filter(npc => npc.follower);
+        panel.style.display = followers.length > 0 ? 'block' : 'none';
+        panel.innerHTML = '';
+        
+        const orders = { follow: 'following', stay: 'waiting', flee: 'keeping away' };
+        for (const npc of followers) {
+            const row = document.createElement('div');
+            row.style.marginBottom = '4px';
+            
+            const name = this.core.getNpcName(npc);
+            const label = document.createElement('div');
+            label.textContent = `${name.charAt(0).toUpperCase()}${name.slice(1)} - ${orders[npc.order]}`;
+            row.appendChild(label);
+            
+            const bar = document.createElement('div');
+            bar.style.height = '6px';
+            bar.style.width = '120px';
+            bar.style.marginTop = '2px';
+            bar.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+            bar.style.borderRadius = '3px';
+            bar.style.overflow = 'hidden';
+            bar.style.display = 'inline-block';
+            bar.style.verticalAlign = 'middle';
+            
+            const fill = document.createElement('div');
+            fill.style.height = '100%';
+            fill.style.width = `${(npc.health / npc.maxHealth) * 100}%`;
+            fill.style.backgroundColor = '#4caf50';
+            bar.appendChild(fill);
+            row.appendChild(bar);
+            
+            const health = document.createElement('span');
+            health.textContent = `${npc.health} / ${npc.maxHealth}`;
+            health.style.marginLeft = '6px';
+            row.appendChild(health);
+            
+            panel.appendChild(row);
+        }
+    }
+    
+    toggleInventory() {
+        this.isInventoryOpen = !this.isInventoryOpen;
+        
+        let panel = document.getElementById('inventory-panel');
+        if (!this.isInventoryOpen) {
+            if (panel) panel.remove();
+            return;
+        }
+        
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'inventory-panel';
+            panel.style.position = 'absolute';
+            panel.style.top = '50px';
+            panel.style.right = '10px';
+            panel.style.width = '300px';
+            panel.style.maxHeight = '70%';
+            panel.style.overflowY = 'auto';
+            panel.style.color = 'white';
+            panel.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+            panel.style.padding = '10px 15px';
+            panel.style.borderRadius = '5px';
+            panel.style.fontFamily = 'Arial, sans-serif';
+            panel.style.fontSize = '14px';
+            panel.style.zIndex = '500';
+            document.getElementById('game-container').appendChild(panel);
+        }
+        
+        this.updateInventoryPanel();
+    }
+    
+    // Rebuild the inventory list: one row per slot, lettered a-z
+    updateInventoryPanel() {
+        const panel = document.getElementById('inventory-panel');
+        if (!panel) return;
+        
+        panel.innerHTML = '';
+        
+        const title = document.createElement('div');
+        title.textContent = 'Inventory';
+        title.style.fontSize = '18px';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '5px';
+        panel.appendChild(title);
+        
+        const gold = document.createElement('div');
+        gold.textContent = `💰 ${this.core.gold} gold`;
+        gold.style.color = 'gold';
+        gold.style.marginBottom = '10px';
+        panel.appendChild(gold);
+        
+        // Combat stats with everything currently equipped
+        const stats = this.core.getPlayerStats();
+        const statLine = document.createElement('div');
+        statLine.textContent = `⚔️ ${stats.damage[0]}-${stats.damage[1]}  🛡️ ${stats.defense}  🎯 ${Math.round(stats.accuracy * 100)}%  💥 ${Math.round(stats.critChance * 100)}%`;
+        statLine.title = 'Damage, defense, accuracy and critical chance';
+        statLine.style.marginBottom = '10px';
+        panel.appendChild(statLine);
+        
+        // Equipment slots
+        EQUIPMENT_SLOTS.forEach(slot => {
+            const item = this.core.equipment[slot];
+            
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.margin = '4px 0';
+            
+            const label = document.createElement('span');
+            label.style.flex = '1';
+            if (item) {
+                const itemType = this.core.itemTypes[item.type];
+                label.textContent = `${slot}: ${itemType.icon} ${itemType.name}`;
+            } else {
+                label.textContent = `${slot}: -`;
+                label.style.color = '#888';
+            }
+            label.style.textTransform = 'capitalize';
+            row.appendChild(label);
+            
+            if (item) {
+                row.appendChild(this.createInventoryButton('Remove', () => this.core.unequipItem(slot)));
+            }
+            
+            panel.appendChild(row);
+        });
+        
+        const divider = document.createElement('hr');
+        divider.style.borderColor = '#555';
+        panel.appendChild(divider);
+        
+        if (this.core.inventory.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'You are carrying nothing.';
+            empty.style.color = '#aaa';
+            empty.style.fontStyle = 'italic';
+            panel.appendChild(empty);
+        }
+        
+        this.core.inventory.forEach((item, index) => {
+            const itemType = this.core.itemTypes[item.type];
+            
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.margin = '4px 0';
+            
+            const label = document.createElement('span');
+            label.textContent = `${String.fromCharCode(97 + index)}) ${itemType.icon} ${this.core.getItemName(item)}`;
+            label.style.flex = '1';
+            row.appendChild(label);
+            
+            if (EQUIPMENT_SLOTS.includes(itemType.kind)) {
+                row.appendChild(this.createInventoryButton('Equip', () => this.core.useItem(index)));
+            } else if (itemType.kind === 'potion' || itemType.kind === 'scroll') {
+                row.appendChild(this.createInventoryButton('Use', () => this.core.useItem(index)));
+            }
+            row.appendChild(this.createInventoryButton('Drop', () => this.core.dropItem(index)));
+            
+            panel.appendChild(row);
+        });
+        
+        const help = document.createElement('div');
+        help.textContent = 'letter: use/equip · Shift+letter: drop · Esc: close';
+        help.style.color = '#888';
+        help.style.fontSize = '11px';
+        help.style.marginTop = '10px';
+        panel.appendChild(help);
+    }
+    
+    createInventoryButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.marginLeft = '5px';
+        button.style.padding = '2px 8px';
+        button.style.fontSize = '12px';
+        button.style.cursor = 'pointer';
+        button.onclick = onClick;
+        return button;
+    }
+    
+    // Keys while the inventory panel is open
+    handleInventoryKey(e, action) {
+        // a-z uses that slot, A-Z drops it. Every letter is a slot, so this
+        // comes first - a letter bound to the inventory doesn't close it
+        if (/^[a-zA-Z]$/.test(e.key)) {
+            if (this.core.isDead) return;
+            
+            const index = e.key.toLowerCase().charCodeAt(0) - 97;
+            if (e.shiftKey || e.key !== e.key.toLowerCase()) {
+                this.core.dropItem(index);
+            } else {
+                this.core.useItem(index);
+            }
+            return;
+        }
+        
+        if (action === 'inventory' || e.key === 'Escape') {
+            this.toggleInventory();
+        }
+    }
+
+    // Add a line to the message log, or count it again if it repeats the last one
+    onMessage(text, category) {
+        const last = this.messages[this.messages.length - 1];
+        if (last && last.text === text && last.category === category) {
+            last.count++;
+        } else {
+            this.messages.push({ text, category, count: 1 });
+            if (this.messages.length > MESSAGE_HISTORY) {
+                this.messages.shift();
+            }
+        }
+        
+        this.updateMessageLog();
+    }
+    
+    toggleMessageLog() {
+        this.isMessageLogOpen = !this.isMessageLogOpen;
+        this.updateMessageLog();
+    }
+    
+    // Keys while the full message history is open
+    handleMessageLogKey(e, action) {
+        const panel = document.getElementById('message-log');
+        
+        if (action === 'messageLog' || e.key === 'Escape') {
+            this.toggleMessageLog();
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            panel.scrollTop += e.key === 'ArrowUp' ? -20 : 20;
+        } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+            panel.scrollTop += e.key === 'PageUp' ? -panel.clientHeight : panel.clientHeight;
+        }
+    }
+    
+    // Rebuild the message log: the last few lines in the bottom corner, or
+    // the whole history, scrollable, while it's open
+    updateMessageLog() {
+        let panel = document.getElementById('message-log');
+        
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'message-log';
+            panel.style.position = 'absolute';
+            panel.style.bottom = '10px';
+            panel.style.left = '10px';
+            panel.style.width = '420px';
+            panel.style.padding = '5px 10px';
+            panel.style.borderRadius = '5px';
+            panel.style.fontFamily = 'Arial, sans-serif';
+            panel.style.fontSize = '13px';
+            panel.style.lineHeight = '1.4';
+            panel.style.textShadow = '1px 1px 2px rgba(0,0,0,0.8)';
+            panel.style.zIndex = '400';
+            document.getElementById('game-container').appendChild(panel);
+        }
+        
+        const isOpen = this.isMessageLogOpen;
+        panel.style.maxHeight = isOpen ? '60%' : 'none';
+        panel.style.overflowY = isOpen ? 'auto' : 'hidden';
+        panel.style.backgroundColor = isOpen ? 'rgba(0, 0, 0, 0.85)' : 'rgba(0, 0, 0, 0.4)';
+        panel.style.pointerEvents = isOpen ? 'auto' : 'none'; // Don't get in the way of the map
+        panel.style.display = isOpen || this.messages.length > 0 ? 'block' : 'none';
+        panel.innerHTML = '';
+        
+        if (isOpen) {
+            const title = document.createElement('div');
+            title.textContent = 'Message Log';
+            title.style.fontSize = '16px';
+            title.style.fontWeight = 'bold';
+            title.style.color = 'white';
+            title.style.marginBottom = '5px';
+            panel.appendChild(title);
+        }
+        
+        const shown = isOpen ? this.messages : this.messages.slice(-MESSAGE_LOG_LINES);
+        shown.forEach((message, i) => {
+            const line = document.createElement('div');
+            line.textContent = message.count > 1 ? `${message.text} x${message.count}` : message.text;
+            line.style.color = MESSAGE_COLORS[message.category] || MESSAGE_COLORS.info;
+            
+            // Older lines fade out in the corner view
+            if (!isOpen) {
+                line.style.opacity = `${0.4 + 0.6 * (i + 1) / shown.length}`;
+            }
+            panel.appendChild(line);
+        });
+        
+        if (isOpen) {
+            const help = document.createElement('div');
+            help.textContent = `↑/↓, PgUp/PgDn: scroll · ${this.formatKeys('messageLog')}: close`;
+            help.style.color = '#888';
+            help.style.fontSize = '11px';
+            help.style.marginTop = '10px';
+            panel.appendChild(help);
+            
+            // Start at the newest messages
+            panel.scrollTop = panel.scrollHeight;
+        }
+    }
+    
+    // Draw what the player knows of the level onto a canvas at `scale` pixels
+    // per tile: explored walls, floors, doors and stairs, visible monsters and
+    // the player. Tiles out of sight are dimmed like on the main map
+    drawLevelMap(canvas, scale) {
+        const width = MAP_WIDTH * scale;
+        const height = MAP_HEIGHT * scale;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        
+        for (let y = 0; y < MAP_HEIGHT; y++) {
+            for (let x = 0; x < MAP_WIDTH; x++) {
+                const key = `${x},${y}`;
+                const visible = this.core.visibleTiles[key] !== undefined;
+                if (!visible && this.core.exploredTiles[key] === undefined) continue;
+                
+                const tile = this.core.map[y][x];
+                let color = this.core.isWallTile(tile.type) ? MAP_COLORS.wall : MAP_COLORS.floor;
+                if (tile.feature === 'stairsDown' || tile.feature === 'stairsUp') {
+                    color = MAP_COLORS.stairs;
+                } else if (tile.feature && tile.feature.startsWith('door')) {
+                    color = MAP_COLORS.door;
+                }
+                
+                ctx.globalAlpha = visible ? 1 : 0.5;
+                ctx.fillStyle = color;
+                ctx.fillRect(x * scale, y * scale, scale, scale);
+            }
+        }
+        
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = MAP_COLORS.monster;
+        for (const monster of this.core.monsters) {
+            if (this.core.visibleTiles[`${monster.x},${monster.y}`] !== undefined) {
+                ctx.fillRect(monster.x * scale, monster.y * scale, scale, scale);
+            }
+        }
+        
+        // The player is drawn a little larger so it stands out on the minimap
+        const player = this.core.player;
+        ctx.fillStyle = MAP_COLORS.player;
+        ctx.fillRect(player.x * scale - 1, player.y * scale - 1, scale + 2, scale + 2);
+    }
+    
+    // Redraw the minimap in the bottom-right corner
+    drawMinimap() {
+        if (!this.core.player) return;
+        
+        let minimap = document.getElementById('minimap');
+        if (!minimap) {
+            minimap = document.createElement('canvas');
+            minimap.id = 'minimap';
+            minimap.style.position = 'absolute';
+            minimap.style.bottom = '10px';
+            minimap.style.right = '10px';
+            minimap.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+            minimap.style.border = '1px solid #555';
+            minimap.style.borderRadius = '3px';
+            minimap.style.pointerEvents = 'none';
+            minimap.style.zIndex = '400';
+            document.getElementById('game-container').appendChild(minimap);
+        }
+        
+        this.drawLevelMap(minimap, MINIMAP_SCALE);
+    }
+    
+    toggleOverview() {
+        this.isOverviewOpen = !this.isOverviewOpen;
+        
+        let overlay = document.getElementById('overview');
+        if (!this.isOverviewOpen) {
+            if (overlay) overlay.remove();
+            return;
+        }
+        
+        overlay = document.createElement('div');
+        overlay.id = 'overview';
+        overlay.style.position = 'absolute';
+        overlay.style.top = '0';
+        overlay.style.left = '0';
+        overlay.style.width = '100%';
+        overlay.style.height = '100%';
+        overlay.style.overflow = 'auto';
+        overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.92)';
+        overlay.style.zIndex = '600';
+        
+        const title = document.createElement('div');
+        title.textContent = `${this.core.getLevelTheme().name} (Level ${this.core.currentLevel})`;
+        title.style.position = 'sticky';
+        title.style.top = '0';
+        title.style.left = '0';
+        title.style.padding = '10px';
+        title.style.color = 'white';
+        title.style.fontFamily = 'Arial, sans-serif';
+        title.style.fontSize = '16px';
+        title.style.fontWeight = 'bold';
+        title.style.textShadow = '1px 1px 2px rgba(0,0,0,0.8)';
+        
+        const help = document.createElement('span');
+        help.textContent = `Arrow keys, PgUp/PgDn: scroll · ${this.formatKeys('overview')}: close`;
+        help.style.marginLeft = '15px';
+        help.style.color = '#888';
+        help.style.fontSize = '12px';
+        help.style.fontWeight = 'normal';
+        title.appendChild(help);
+        overlay.appendChild(title);
+        
+        const canvas = document.createElement('canvas');
+        canvas.style.display = 'block';
+        canvas.style.margin = '0 auto';
+        this.drawLevelMap(canvas, OVERVIEW_SCALE);
+        overlay.appendChild(canvas);
+        
+        document.getElementById('game-container').appendChild(overlay);
+        
+        // Start with the player in the middle of the screen
+        const player = this.core.player;
+        overlay.scrollLeft = canvas.offsetLeft + player.x * OVERVIEW_SCALE - overlay.clientWidth / 2;
+        overlay.scrollTop = canvas.offsetTop + player.y * OVERVIEW_SCALE - overlay.clientHeight / 2;
+    }
+    
+    // Keys while the level overview is open
+    handleOverviewKey(e, action) {
+        const overlay = document.getElementById('overview');
+        const step = OVERVIEW_SCALE * 4;
+        
+        if (action === 'overview' || e.key === 'Escape') {
+            this.toggleOverview();
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            overlay.scrollTop += e.key === 'ArrowUp' ? -step : step;
+        } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            overlay.scrollLeft += e.key === 'ArrowLeft' ? -step : step;
+        } else if (e.key === 'PageUp' || e.key === 'PageDown') {
+            overlay.scrollTop += e.key === 'PageUp' ? -overlay.clientHeight : overlay.clientHeight;
+        }
+        e.preventDefault();
+    }
+    
+    // Open or close the quest log: active quests with their progress, then
+    // the completed ones
+    toggleQuestLog() {
+        this.isQuestLogOpen = !this.isQuestLogOpen;
+        
+        let panel = document.getElementById('quest-log');
+        if (!this.isQuestLogOpen) {
+            if (panel) panel.remove();
+            return;
+        }
+        
+        panel = document.createElement('div');
+        panel.id = 'quest-log';
+        panel.style.position = 'absolute';
+        panel.style.top = '50px';
+        panel.style.left = '50%';
+        panel.style.transform = 'translateX(-50%)';
+        panel.style.width = '420px';
+        panel.style.maxHeight = '75%';
+        panel.style.overflowY = 'auto';
+        panel.style.color = 'white';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        panel.style.padding = '10px 15px';
+        panel.style.borderRadius = '5px';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.fontSize = '14px';
+        panel.style.zIndex = '500';
+        
+        const title = document.createElement('div');
+        title.textContent = 'Quests';
+        title.style.fontSize = '18px';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '10px';
+        panel.appendChild(title);
+        
+        const quests = this.core.getQuestLog();
+        if (quests.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No quests yet. Talk to the people you meet.';
+            empty.style.color = '#aaa';
+            empty.style.fontStyle = 'italic';
+            panel.appendChild(empty);
+        }
+        
+        quests.forEach((quest, i) => {
+            // A heading where the completed quests start
+            if (quest.status === 'completed' && (i === 0 || quests[i - 1].status !== 'completed')) {
+                const heading = document.createElement('div');
+                heading.textContent = 'Completed';
+                heading.style.color = '#888';
+                heading.style.fontWeight = 'bold';
+                heading.style.margin = '15px 0 5px 0';
+                panel.appendChild(heading);
+            }
+            
+            const entry = document.createElement('div');
+            entry.style.marginBottom = '10px';
+            entry.style.opacity = quest.status === 'completed' ? '0.6' : '1';
+            
+            const name = document.createElement('div');
+            name.textContent = quest.status === 'completed' ? `✔ ${quest.title}` : quest.title;
+            name.style.fontWeight = 'bold';
+            name.style.color = quest.status === 'completed' ? '#7ec850' : '#f0c674';
+            entry.appendChild(name);
+            
+            const description = document.createElement('div');
+            description.textContent = quest.description;
+            description.style.fontSize = '13px';
+            entry.appendChild(description);
+            
+            if (quest.progress) {
+                const progress = document.createElement('div');
+                progress.textContent = quest.progress;
+                progress.style.fontSize = '12px';
+                progress.style.color = '#9cd1ff';
+                entry.appendChild(progress);
+            }
+            
+            panel.appendChild(entry);
+        });
+        
+        const help = document.createElement('div');
+        help.textContent = `↑/↓: scroll · ${this.formatKeys('quests')}: close`;
+        help.style.color = '#888';
+        help.style.fontSize = '11px';
+        help.style.marginTop = '10px';
+        panel.appendChild(help);
+        
+        document.getElementById('game-container').appendChild(panel);
+    }
+    
+    // Keys while the quest log is open
+    handleQuestLogKey(e, action) {
+        const panel = document.getElementById('quest-log');
+        
+        if (action === 'quests' || e.key === 'Escape') {
+            this.toggleQuestLog();
+        } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            panel.scrollTop += e.key === 'ArrowUp' ? -20 : 20;
+        }
+    }
+    
+    // Show the conversation with an NPC (see the core's getDialogue), or
+    // close the window when it has ended
+    onDialogue(dialogue) {
+        let dialogueWindow = document.getElementById('dialogue-window');
+        
+        if (!dialogue) {
+            if (dialogueWindow) dialogueWindow.remove();
+            return;
+        }
         
-        // Update health text
-        const healthText = document.getElementById('health-text');
-        if (healthText) {
-            healthText.textContent = `${Math.round(this.currentHealth)} / ${this.maxHealth}`;
+        if (!dialogueWindow) {
+            dialogueWindow = document.createElement('div');
+            dialogueWindow.id = 'dialogue-window';
+            dialogueWindow.style.position = 'absolute';
+            dialogueWindow.style.bottom = '30%';
+            dialogueWindow.style.left = '50%';
+            dialogueWindow.style.transform = 'translateX(-50%)';
+            dialogueWindow.style.width = '460px';
+            dialogueWindow.style.maxWidth = '90%';
+            dialogueWindow.style.padding = '15px 20px';
+            dialogueWindow.style.color = 'white';
+            dialogueWindow.style.backgroundColor = 'rgba(20, 15, 10, 0.92)';
+            dialogueWindow.style.border = '2px solid #8b6d3f';
+            dialogueWindow.style.borderRadius = '8px';
+            dialogueWindow.style.fontFamily = 'Arial, sans-serif';
+            dialogueWindow.style.fontSize = '15px';
+            dialogueWindow.style.lineHeight = '1.4';
+            dialogueWindow.style.zIndex = '550';
+            document.getElementById('game-container').appendChild(dialogueWindow);
+        }
+        dialogueWindow.innerHTML = '';
+        
+        // The speaker's portrait from the character sheet, and name
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.alignItems = 'center';
+        header.style.marginBottom = '10px';
+        
+        const [row, column] = this.getSprite(this.characters, dialogue.npcType, CONTENT_FILES.characters);
+        const portrait = document.createElement('div');
+        portrait.style.width = `${TILE_SIZE}px`;
+        portrait.style.height = `${TILE_SIZE}px`;
+        portrait.style.backgroundImage = `url(${this.roguesImage.src})`;
+        portrait.style.backgroundPosition = `-${column * TILE_SIZE}px -${row * TILE_SIZE}px`;
+        portrait.style.transform = 'scale(1.5)';
+        portrait.style.margin = '0 15px 0 5px';
+        portrait.style.imageRendering = 'pixelated';
+        header.appendChild(portrait);
+        
+        const name = document.createElement('div');
+        name.textContent = dialogue.speaker.charAt(0).toUpperCase() + dialogue.speaker.slice(1);
+        name.style.fontWeight = 'bold';
+        name.style.fontSize = '17px';
+        name.style.color = '#f0c674';
+        header.appendChild(name);
+        dialogueWindow.appendChild(header);
+        
+        for (const paragraph of dialogue.text) {
+            const text = document.createElement('p');
+            text.textContent = paragraph;
+            text.style.margin = '0 0 10px 0';
+            dialogueWindow.appendChild(text);
         }
+        
+        // Numbered answers - click one or press its number
+        dialogue.choices.forEach((choice, i) => {
+            const button = document.createElement('div');
+            button.textContent = `${i + 1}. ${choice.text}`;
+            button.style.padding = '4px 8px';
+            button.style.marginTop = '4px';
+            button.style.borderRadius = '4px';
+            button.style.color = '#9cd1ff';
+            button.style.cursor = 'pointer';
+            button.onmouseover = () => {
+                button.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+            };
+            button.onmouseout = () => {
+                button.style.backgroundColor = 'transparent';
+            };
+            button.onclick = () => this.core.chooseDialogueOption(choice.index);
+            dialogueWindow.appendChild(button);
+        });
+        
+        const help = document.createElement('div');
+        help.textContent = '1-9: answer · Esc: leave';
+        help.style.color = '#888';
+        help.style.fontSize = '11px';
+        help.style.marginTop = '10px';
+        dialogueWindow.appendChild(help);
     }
-
-    // Add method to modify health
-    modifyHealth(amount) {
-        // Ensure health stays within bounds
-        const newHealth = Math.max(0, Math.min(this.maxHealth, this.currentHealth + amount));
-        if (isNaN(newHealth)) {
-            console.error("Invalid health modification");
+    
+    // Open the shop panel when the player starts trading with a shopkeeper,
+    // and close it when they stop
+    onShop(shopkeeper) {
+        let panel = document.getElementById('shop-panel');
+        
+        if (!shopkeeper) {
+            if (panel) panel.remove();
             return;
         }
-        this.currentHealth = newHealth;
         
-        // Add red flash effect if taking damage
-        if (amount < 0) {
-            this.playerDamageFlash();
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'shop-panel';
+            panel.style.position = 'absolute';
+            panel.style.top = '50px';
+            panel.style.left = '50%';
+            panel.style.transform = 'translateX(-50%)';
+            panel.style.width = '360px';
+            panel.style.maxHeight = '75%';
+            panel.style.overflowY = 'auto';
+            panel.style.color = 'white';
+            panel.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+            panel.style.padding = '10px 15px';
+            panel.style.borderRadius = '5px';
+            panel.style.fontFamily = 'Arial, sans-serif';
+            panel.style.fontSize = '14px';
+            panel.style.zIndex = '500';
+            document.getElementById('game-container').appendChild(panel);
         }
         
-        this.updateUI();
+        this.updateShopPanel();
+    }
+    
+    // Rebuild the shop panel: the shopkeeper's stock lettered a-z with the
+    // price of one, then the player's pack with what each item sells for
+    updateShopPanel() {
+        const panel = document.getElementById('shop-panel');
+        if (!panel) return;
+        
+        panel.innerHTML = '';
+        
+        const title = document.createElement('div');
+        const name = this.core.getNpcName(this.core.shop);
+        title.textContent = `${name.charAt(0).toUpperCase()}${name.slice(1)}'s Wares`;
+        title.style.fontSize = '18px';
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '5px';
+        panel.appendChild(title);
+        
+        const gold = document.createElement('div');
+        gold.textContent = `💰 ${this.core.gold} gold`;
+        gold.style.color = 'gold';
+        gold.style.marginBottom = '10px';
+        panel.appendChild(gold);
+        
+        const addRow = (text, price, buttonText, onClick, affordable = true) => {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.margin = '4px 0';
+            
+            const label = document.createElement('span');
+            label.textContent = text;
+            label.style.flex = '1';
+            row.appendChild(label);
+            
+            const cost = document.createElement('span');
+            cost.textContent = `${price} g`;
+            cost.style.color = affordable ? 'gold' : '#a55';
+            row.appendChild(cost);
+            
+            row.appendChild(this.createInventoryButton(buttonText, onClick));
+            panel.appendChild(row);
+        };
+        
+        const addEmpty = text => {
+            const empty = document.createElement('div');
+            empty.textContent = text;
+            empty.style.color = '#aaa';
+            empty.style.fontStyle = 'italic';
+            panel.appendChild(empty);
+        };
+        
+        if (this.core.shop.stock.length === 0) {
+            addEmpty('Sold out.');
+        }
+        this.core.shop.stock.forEach((item, index) => {
+            const itemType = this.core.itemTypes[item.type];
+            const price = this.core.getBuyPrice(item.type);
+            addRow(`${String.fromCharCode(97 + index)}) ${itemType.icon} ${this.core.getItemName(item)}`, price, 'Buy',
+                () => this.core.buyItem(index), price <= this.core.gold);
+        });
+        
+        const divider = document.createElement('hr');
+        divider.style.borderColor = '#555';
+        panel.appendChild(divider);
+        
+        const packTitle = document.createElement('div');
+        packTitle.textContent = 'Your pack';
+        packTitle.style.fontWeight = 'bold';
+        packTitle.style.marginBottom = '5px';
+        panel.appendChild(packTitle);
+        
+        if (this.core.inventory.length === 0) {
+            addEmpty('You have nothing to sell.');
+        }
+        this.core.inventory.forEach((item, index) => {
+            const itemType = this.core.itemTypes[item.type];
+            addRow(`${String.fromCharCode(97 + index)}) ${itemType.icon} ${this.core.getItemName(item)}`, this.core.getSellPrice(item.type), 'Sell',
+                () => this.core.sellItem(index));
+        });
+        
+        const help = document.createElement('div');
+        help.textContent = 'letter: buy · Shift+letter: sell from your pack · Esc: leave';
+        help.style.color = '#888';
+        help.style.fontSize = '11px';
+        help.style.marginTop = '10px';
+        panel.appendChild(help);
+    }
+    
+    // Keys while trading: a-z buys that item from the shop, A-Z sells that
+    // inventory slot
+    handleShopKey(e) {
+        if (e.key === 'Escape') {
+            this.core.closeShop();
+            return;
+        }
+        
+        if (/^[a-zA-Z]$/.test(e.key)) {
+            const index = e.key.toLowerCase().charCodeAt(0) - 97;
+            if (e.shiftKey || e.key !== e.key.toLowerCase()) {
+                this.core.sellItem(index);
+            } else {
+                this.core.buyItem(index);
+            }
+        }
+    }
+    
+    // Keys while talking to an NPC: a number picks that answer
+    handleDialogueKey(e) {
+        if (e.key === 'Escape') {
+            this.core.endDialogue();
+            return;
+        }
+        
+        const choices = this.core.getDialogue().choices;
+        const number = parseInt(e.key, 10);
+        if (number >= 1 && number <= choices.length) {
+            this.core.chooseDialogueOption(choices[number - 1].index);
+        }
+    }
+    
+    // Start or end keyboard look mode, with the cursor on the player
+    toggleLook() {
+        this.isLooking = !this.isLooking;
+        const player = this.core.player;
+        this.lookCursor = this.isLooking ? { x: player.x, y: player.y } : null;
+        this.updateLookTooltip();
+        this.drawMap();
+    }
+    
+    // Keys in look mode: movement keys move the cursor
+    handleLookKey(e, action) {
+        if (action === 'look' || e.key === 'Escape' || e.key === 'Enter') {
+            this.toggleLook();
+        } else if (MOVE_ACTIONS[action]) {
+            const [dx, dy] = MOVE_ACTIONS[action];
+            this.moveLookCursor(this.lookCursor.x + dx, this.lookCursor.y + dy);
+        }
+        e.preventDefault();
+    }
+    
+    moveLookCursor(x, y) {
+        this.lookCursor = {
+            x: Math.max(0, Math.min(MAP_WIDTH - 1, x)),
+            y: Math.max(0, Math.min(MAP_HEIGHT - 1, y))
+        };
+        this.updateLookTooltip();
+        this.drawMap();
+    }
+    
+    // Describe the tile under the look cursor in a tooltip next to it: what
+    // stands there, the feature, items and ground - only as far as the player
+    // has seen them (see the core's lookAt)
+    updateLookTooltip() {
+        let tooltip = document.getElementById('look-tooltip');
+        
+        if (!this.lookCursor || !this.core.player) {
+            if (tooltip) tooltip.remove();
+            return;
+        }
+        
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.id = 'look-tooltip';
+            tooltip.style.position = 'absolute';
+            tooltip.style.maxWidth = '240px';
+            tooltip.style.padding = '6px 10px';
+            tooltip.style.color = '#ccc';
+            tooltip.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+            tooltip.style.border = '1px solid #555';
+            tooltip.style.borderRadius = '4px';
+            tooltip.style.fontFamily = 'Arial, sans-serif';
+            tooltip.style.fontSize = '13px';
+            tooltip.style.lineHeight = '1.4';
+            tooltip.style.pointerEvents = 'none';
+            tooltip.style.zIndex = '450';
+            document.getElementById('game-container').appendChild(tooltip);
+        }
+        
+        const look = this.core.lookAt(this.lookCursor.x, this.lookCursor.y);
+        const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+        
+        // The most important thing on the tile is the title, the rest are lines below it
+        let title;
+        const lines = [];
+        if (!look) {
+            title = 'Unexplored';
+        } else {
+            if (look.monster) {
+                const monster = look.monster;
+                title = capitalize(monster.name);
+                lines.push({ text: `Health ${monster.health}/${monster.maxHealth}, ${MONSTER_STATE_NAMES[monster.state]}`, color: '#ff8787' });
+                if (monster.summoned) lines.push({ text: 'Summoned', color: '#b197fc' });
+            } else if (look.npc) {
+                title = capitalize(look.npc);
+            } else if (look.player) {
+                title = `You (health ${this.core.currentHealth}/${this.core.maxHealth})`;
+            }
+            
+            if (look.feature) {
+                if (title) {
+                    lines.push({ text: capitalize(look.feature), color: '#ccc' });
+                } else {
+                    title = capitalize(look.feature);
+                }
+            }
+            if (look.items.length > 0) {
+                lines.push({ text: look.items.join(', '), color: 'gold' });
+            }
+            if (title) {
+                lines.push({ text: capitalize(look.tile), color: '#888' });
+            } else {
+                title = capitalize(look.tile);
+            }
+            if (!look.visible) {
+                lines.push({ text: 'Out of sight - as you remember it', color: '#888' });
+            }
+        }
         
-        // Check for player death
-        if (this.currentHealth <= 0) {
-            this.playerDied();
+        tooltip.innerHTML = '';
+        const titleLine = document.createElement('div');
+        titleLine.textContent = title;
+        titleLine.style.color = 'white';
+        titleLine.style.fontWeight = 'bold';
+        tooltip.appendChild(titleLine);
+        for (const line of lines) {
+            const lineElement = document.createElement('div');
+            lineElement.textContent = line.text;
+            lineElement.style.color = line.color;
+            tooltip.appendChild(lineElement);
         }
+        
+        // Beside the cursor, flipped to the left near the right edge of the screen
+        const screenX = this.mapToScreenX(this.lookCursor.x);
+        const screenY = this.mapToScreenY(this.lookCursor.y);
+        const left = screenX + TILE_SIZE + 6;
+        tooltip.style.left = left + tooltip.offsetWidth > this.canvas.width
+            ? `${Math.max(0, screenX - tooltip.offsetWidth - 6)}px`
+            : `${left}px`;
+        tooltip.style.top = `${Math.max(0, screenY)}px`;
+    }
+    
+    // Start over from the start screen with a fresh seed
+    restartGame() {
+        // Drop the seed from the URL, otherwise the reload would replay the same run
+        window.location.href = window.location.pathname;
     }
     
     // Add player damage visual effect
@@ -1328,9 +2099,9 @@ class GladelikeGame {
     }
     
     // Handle player death
-    playerDied() {
-        // Set the death flag
-        this.isDead = true;
+    onPlayerDied() {
+        // Death is permanent - the run can't be continued
+        this.deleteSavedGame();
         
         // Create a death message overlay
         const gameContainer = document.getElementById('game-container');
@@ -1357,7 +2128,7 @@ class GladelikeGame {
         restartButton.style.fontSize = '16px';
         restartButton.style.cursor = 'pointer';
         restartButton.onclick = () => {
-            location.reload(); // Simple restart by reloading the page
+            this.restartGame();
         };
         
         deathMessage.appendChild(document.createElement('br'));
@@ -1365,178 +2136,18 @@ class GladelikeGame {
         gameContainer.appendChild(deathMessage);
     }
     
-    computeFOV() {
-        if (!this.player) return;
-        
-        // Clear previous FOV data
-        this.visibleTiles = {};
-        
-        // Calculate player's field of view
-        const fov = new ROT.FOV.PreciseShadowcasting((x, y) => {
-            return this.isValidMove(x, y) || 
-                   (x >= 0 && y >= 0 && x < MAP_WIDTH && y < MAP_HEIGHT && this.map[y][x] === 'door');
-        });
-        
-        // Process player's FOV
-        fov.compute(this.player.x, this.player.y, FOV_RADIUS, (x, y, r, visibility) => {
-            // Mark tile as visible with a visibility value based on distance
-            const key = `${x},${y}`;
-            // Calculate distance from player
-            const dx = x - this.player.x;
-            const dy = y - this.player.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            
-            // Calculate visibility based on distance (closer = brighter)
-            const maxDistance = FOV_RADIUS;
-            const normalizedDistance = Math.min(distance / maxDistance, 1);
-            // More dramatic falloff: cubic for even sharper darkness at edges
-            const visibilityValue = Math.pow(1 - (normalizedDistance * 0.6), 3); // Brighter near player, sharper falloff
-            
-            this.visibleTiles[key] = Math.min(1, visibilityValue * 1.5); // Boost visibility in FOV
-            
-            // Also mark as explored with a much lower visibility
-            if (!this.exploredTiles[key]) {
-                this.exploredTiles[key] = 0;
-            }
-        });
-        
-        // Process light sources FOV - now independent of player's FOV
-        for (const light of this.lightSources) {
-            // Use diagonal light pattern instead of circular
-            this.computeLightSourceFOV(light);
-        }
-    }
-    
-    // Compute FOV for a light source with diagonal preference
-    computeLightSourceFOV(light) {
-        if (!light) return;
-        
-        const fov = new ROT.FOV.PreciseShadowcasting((x, y) => {
-            return this.isValidMove(x, y) || 
-                   (x >= 0 && y >= 0 && x < MAP_WIDTH && y < MAP_HEIGHT && this.map[y][x] === 'door');
-        });
-        
-        // Process light source FOV
-        fov.compute(light.x, light.y, light.radius, (x, y, r, visibility) => {
-            // Skip positions outside the map
-            if (x < 0 || y < 0 || x >= MAP_WIDTH || y >= MAP_HEIGHT) return;
-            
-            const key = `${x},${y}`;
-            
-            // Calculate distance (with diagonal preference)
-            const dx = Math.abs(x - light.x);
-            const dy = Math.abs(y - light.y);
-            const distance = Math.sqrt(dx*dx + dy*dy) * 0.7 + (dx + dy) * 0.3;
-            
-            // Calculate visibility with flicker
-            const normalizedDistance = Math.min(distance / light.radius, 1);
-            // Exponential falloff
-            const baseVisibility = Math.pow(1 - normalizedDistance, 2);
-            // Apply current flicker intensity
-            const flickeredVisibility = baseVisibility * light.currentIntensity;
-            
-            // Always show tiles lit by firepit, even if not explored
-            this.exploredTiles[key] = Math.max(this.exploredTiles[key] || 0, flickeredVisibility * 0.3);
-            
-            // Update visibility
-            const existingVisibility = this.visibleTiles[key] || 0;
-            this.visibleTiles[key] = Math.max(existingVisibility, flickeredVisibility);
-        });
-    }
-    
-    // Place firepits near spawn points
-    placeFirepits() {
-        // Clear existing animated tiles and light sources
-        this.animatedTiles = [];
-        this.lightSources = [];
-        
-        // Find the stairs location
-        let stairsX = -1;
-        let stairsY = -1;
-        
-        // Search for stairs or victory door
-        for (let y = 0; y < MAP_HEIGHT; y++) {
-            for (let x = 0; x < MAP_WIDTH; x++) {
-                const tile = this.map[y][x];
-                if (tile && (tile.feature === 'stairsDown' || (this.currentLevel === MAX_LEVELS && tile.feature === 'door'))) {
-                    stairsX = x;
-                    stairsY = y;
-                    break;
-                }
-            }
-            if (stairsX !== -1) break;
-        }
-        
-        // If we found stairs/door, place firepit nearby
-        if (stairsX !== -1 && stairsY !== -1) {
-            // Find valid floor tiles around the stairs
-            const candidatePositions = [];
-            
-            // Check positions in a radius of 2 around stairs
-            for (let dy = -2; dy <= 2; dy++) {
-                for (let dx = -2; dx <= 2; dx++) {
-                    // Skip the stairs position and diagonal positions
-                    if ((dx === 0 && dy === 0) || (Math.abs(dx) === Math.abs(dy) && Math.abs(dx) === 2)) continue;
-                    
-                    const x = stairsX + dx;
-                    const y = stairsY + dy;
-                    
-                    // Make sure position is valid and is a floor tile
-                    if (x >= 0 && x < MAP_WIDTH && y >= 0 && y < MAP_HEIGHT && 
-                        this.isValidMove(x, y) && 
-                        !this.npcs.some(npc => npc.x === x && npc.y === y) &&
-                        !this.monsters.some(monster => monster.x === x && monster.y === y)) {
-                        
-                        candidatePositions.push({x, y});
-                    }
-                }
-            }
-            
-            // If we have valid positions, place a firepit at one of them
-            if (candidatePositions.length > 0) {
-                const position = candidatePositions[Math.floor(Math.random() * candidatePositions.length)];
-                
-                // Create the firepit
-                const firepit = {
-                    x: position.x,
-                    y: position.y,
-                    type: 'firepit',
-                    animationStartTime: Date.now() + Math.random() * ANIMATION_SPEED
-                };
-                
-                // Add to animated tiles
-                this.animatedTiles.push(firepit);
-                
-                // Create light source
-                const lightSource = {
-                    x: position.x,
-                    y: position.y,
-                    type: 'firepit',
-                    baseIntensity: this.animatedTileTypes.firepit.lightIntensity,
-                    currentIntensity: this.animatedTileTypes.firepit.lightIntensity,
-                    radius: this.animatedTileTypes.firepit.lightRadius
-                };
-                
-                // Add to light sources
-                this.lightSources.push(lightSource);
-                
-                console.log(`Placed firepit at ${position.x}, ${position.y} near stairs/door`);
-            }
-        }
-    }
-    
     // Get current animation frame for an animated tile
     getAnimationFrame(animatedTile) {
-        const tileType = this.animatedTileTypes[animatedTile.type];
+        const tileType = this.core.animatedTileTypes[animatedTile.type];
         if (!tileType) return null;
         
         // Calculate frame based on animation timer
-        const frameCount = tileType.frames.length;
+        const frameCount = tileType.frames;
         const totalDuration = frameCount * tileType.frameDuration;
         const normalizedTime = (this.animationTimer % totalDuration) / totalDuration;
         const frameIndex = Math.floor(normalizedTime * frameCount);
         
-        return tileType.frames[frameIndex];
+        return this.animationFrames[animatedTile.type][frameIndex];
     }
     
     // Convert map coordinates to screen coordinates based on camera position
@@ -1548,6 +2159,15 @@ class GladelikeGame {
         return (y - this.camera.y) * TILE_SIZE;
     }
     
+    // Canvas pixel position back to the map tile under it
+    screenToMapX(screenX) {
+        return Math.floor(screenX / TILE_SIZE) + this.camera.x;
+    }
+    
+    screenToMapY(screenY) {
+        return Math.floor(screenY / TILE_SIZE) + this.camera.y;
+    }
+    
     // Check if a map position is within the current viewport
     isOnScreen(x, y) {
         return x >= this.camera.x && 
@@ -1575,40 +2195,41 @@ class GladelikeGame {
                 const tileY = vy * TILE_SIZE;
                 
                 const key = `${x},${y}`;
-                const visible = this.visibleTiles[key] !== undefined;
-                const explored = this.exploredTiles[key] !== undefined;
+                const visible = this.core.visibleTiles[key] !== undefined;
+                const explored = this.core.exploredTiles[key] !== undefined;
                 
                 if (visible || explored) {
-                    const alpha = visible ? this.visibleTiles[key] : this.exploredTiles[key];
+                    const alpha = visible ? this.core.visibleTiles[key] : this.core.exploredTiles[key];
                     this.ctx.globalAlpha = alpha;
                     
                     // Draw floor/wall/etc.
-                    const tile = this.map[y][x];
+                    const tile = this.core.map[y][x];
                     if (tile) {
                         // Draw the base tile
-                        if (this.tiles[tile.type]) {
-                            const [tileY, tileX] = this.tiles[tile.type];
+                        const [tileY, tileX] = this.getSprite(this.tiles, tile.type, CONTENT_FILES.tiles);
+                        this.ctx.drawImage(
+                            this.tilesetImage,
+                            tileX * TILE_SIZE, tileY * TILE_SIZE, TILE_SIZE, TILE_SIZE, // Source rectangle
+                            vx * TILE_SIZE, vy * TILE_SIZE, TILE_SIZE, TILE_SIZE // Destination rectangle
+                        );
+                        
+                        // Draw feature if present
+                        if (tile.feature) {
+                            const [featureY, featureX] = this.getSprite(this.tiles, tile.feature, CONTENT_FILES.tiles);
                             this.ctx.drawImage(
                                 this.tilesetImage,
-                                tileX * TILE_SIZE, tileY * TILE_SIZE, TILE_SIZE, TILE_SIZE, // Source rectangle
+                                featureX * TILE_SIZE, featureY * TILE_SIZE, TILE_SIZE, TILE_SIZE, // Source rectangle
                                 vx * TILE_SIZE, vy * TILE_SIZE, TILE_SIZE, TILE_SIZE // Destination rectangle
                             );
-                        } else {
-                            // Fallback for missing tile types - use a default tile
-                            this.ctx.drawImage(
-                                this.tilesetImage,
-                                0, 0, TILE_SIZE, TILE_SIZE, // Use first tile as fallback
-                                vx * TILE_SIZE, vy * TILE_SIZE, TILE_SIZE, TILE_SIZE
-                            );
                         }
                         
-                        // Draw feature if present
-                        if (tile.feature && this.tiles[tile.feature]) {
-                            const [featureY, featureX] = this.tiles[tile.feature];
+                        // Draw a pile for items lying on the floor
+                        if (tile.items && tile.items.length > 0) {
+                            const [pileY, pileX] = this.tiles.itemPile;
                             this.ctx.drawImage(
                                 this.tilesetImage,
-                                featureX * TILE_SIZE, featureY * TILE_SIZE, TILE_SIZE, TILE_SIZE, // Source rectangle
-                                vx * TILE_SIZE, vy * TILE_SIZE, TILE_SIZE, TILE_SIZE // Destination rectangle
+                                pileX * TILE_SIZE, pileY * TILE_SIZE, TILE_SIZE, TILE_SIZE,
+                                vx * TILE_SIZE, vy * TILE_SIZE, TILE_SIZE, TILE_SIZE
                             );
                         }
                     }
@@ -1626,31 +2247,41 @@ class GladelikeGame {
         this.drawHealthBars();
         
         // Draw NPCs (only if visible and on screen)
-        for (const npc of this.npcs) {
+        for (const npc of this.core.npcs) {
             if (this.isOnScreen(npc.x, npc.y)) {
                 const key = `${npc.x},${npc.y}`;
-                if (this.visibleTiles[key] !== undefined) {
+                if (this.core.visibleTiles[key] !== undefined) {
                     const screenX = this.mapToScreenX(npc.x);
                     const screenY = this.mapToScreenY(npc.y);
                     
-                    this.ctx.globalAlpha = this.visibleTiles[key];
-                    const [charY, charX] = this.characters[npc.type];
+                    this.ctx.globalAlpha = this.core.visibleTiles[key];
+                    const [charY, charX] = this.getSprite(this.characters, npc.type, CONTENT_FILES.characters);
                     this.ctx.drawImage(
                         this.roguesImage,
                         charX * TILE_SIZE, charY * TILE_SIZE, TILE_SIZE, TILE_SIZE, // Source rectangle
                         screenX, screenY, TILE_SIZE, TILE_SIZE // Destination rectangle
                     );
+                    
+                    // Companions always show their health, just above them
+                    if (npc.follower) {
+                        this.ctx.globalAlpha = 1.0;
+                        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+                        this.ctx.fillRect(screenX, screenY - 5, TILE_SIZE, 4);
+                        this.ctx.fillStyle = '#4caf50';
+                        this.ctx.fillRect(screenX, screenY - 5, TILE_SIZE * npc.health / npc.maxHealth, 4);
+                    }
                 }
             }
         }
         
         // Always draw player character if on screen
-        if (this.player && this.isOnScreen(this.player.x, this.player.y)) {
-            const screenX = this.mapToScreenX(this.player.x);
-            const screenY = this.mapToScreenY(this.player.y);
+        const player = this.core.player;
+        if (player && this.isOnScreen(player.x, player.y)) {
+            const screenX = this.mapToScreenX(player.x);
+            const screenY = this.mapToScreenY(player.y);
             
             this.ctx.globalAlpha = 1.0;
-            const [charY, charX] = this.characters[this.player.type];
+            const [charY, charX] = this.getSprite(this.characters, player.type, CONTENT_FILES.characters);
             this.ctx.drawImage(
                 this.roguesImage,
                 charX * TILE_SIZE, charY * TILE_SIZE, TILE_SIZE, TILE_SIZE, // Source rectangle
@@ -1658,19 +2289,72 @@ class GladelikeGame {
             );
         }
         
+        // Draw arrows and spells in flight over everything else
+        this.drawProjectiles();
+        
+        // Outline the tile being looked at
+        if (this.lookCursor && this.isOnScreen(this.lookCursor.x, this.lookCursor.y)) {
+            this.ctx.globalAlpha = 1.0;
+            this.ctx.strokeStyle = '#ffd43b';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(this.mapToScreenX(this.lookCursor.x) + 1, this.mapToScreenY(this.lookCursor.y) + 1, TILE_SIZE - 2, TILE_SIZE - 2);
+        }
+        
         // Reset global alpha
         this.ctx.globalAlpha = 1.0;
     }
     
+    // Draw each projectile at its current point along its path
+    drawProjectiles() {
+        const now = performance.now();
+        this.projectiles = this.projectiles.filter(p => now - p.startTime < p.duration);
+        
+        for (const projectile of this.projectiles) {
+            const { path } = projectile;
+            
+            // Position along the path, interpolated between tiles
+            const progress = (now - projectile.startTime) / projectile.duration * (path.length - 1);
+            const index = Math.min(Math.floor(progress), path.length - 2);
+            const t = progress - index;
+            const from = path[index];
+            const to = path[index + 1];
+            const x = this.mapToScreenX(from.x + (to.x - from.x) * t) + TILE_SIZE / 2;
+            const y = this.mapToScreenY(from.y + (to.y - from.y) * t) + TILE_SIZE / 2;
+            
+            this.ctx.globalAlpha = 1.0;
+            if (projectile.kind === 'firebolt') {
+                // Glowing ball of fire
+                const glow = this.ctx.createRadialGradient(x, y, 1, x, y, TILE_SIZE / 3);
+                glow.addColorStop(0, '#fff6a0');
+                glow.addColorStop(0.4, '#ff9900');
+                glow.addColorStop(1, 'rgba(255, 60, 0, 0)');
+                this.ctx.fillStyle = glow;
+                this.ctx.beginPath();
+                this.ctx.arc(x, y, TILE_SIZE / 3, 0, Math.PI * 2);
+                this.ctx.fill();
+            } else {
+                // Arrow: a short shaft pointing the way it flies
+                const angle = Math.atan2(path[path.length - 1].y - path[0].y, path[path.length - 1].x - path[0].x);
+                const length = TILE_SIZE / 3;
+                this.ctx.strokeStyle = '#e0d0b0';
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x - Math.cos(angle) * length, y - Math.sin(angle) * length);
+                this.ctx.lineTo(x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+                this.ctx.stroke();
+            }
+        }
+    }
+    
     // Draw animated tiles
     drawAnimatedTiles() {
-        for (const animatedTile of this.animatedTiles) {
+        for (const animatedTile of this.core.animatedTiles) {
             // Skip if not on screen
             if (!this.isOnScreen(animatedTile.x, animatedTile.y)) continue;
             
             // Skip if not visible
             const key = `${animatedTile.x},${animatedTile.y}`;
-            if (this.visibleTiles[key] === undefined && this.exploredTiles[key] === undefined) continue;
+            if (this.core.visibleTiles[key] === undefined && this.core.exploredTiles[key] === undefined) continue;
             
             const frame = this.getAnimationFrame(animatedTile);
             if (!frame) continue;
@@ -1680,14 +2364,14 @@ class GladelikeGame {
             const screenY = this.mapToScreenY(animatedTile.y);
             
             // Set alpha based on visibility
-            const alpha = this.visibleTiles[key] || this.exploredTiles[key] || 0;
+            const alpha = this.core.visibleTiles[key] || this.core.exploredTiles[key] || 0;
             this.ctx.globalAlpha = alpha;
             
             // Draw the animated tile
             this.ctx.drawImage(
                 this.animatedTilesImage,
-                frame.x * TILE_SIZE,
-                frame.y * TILE_SIZE,
+                frame[1] * TILE_SIZE,
+                frame[0] * TILE_SIZE,
                 TILE_SIZE,
                 TILE_SIZE,
                 screenX,
@@ -1698,45 +2382,29 @@ class GladelikeGame {
         }
     }
 
-    // Add combat methods
-    performAttack(attacker, target) {
-        // Validate monster type if it's a monster attacking
-        if (attacker.type && !this.monsterStats[attacker.type]) {
-            console.error("Invalid monster type:", attacker.type);
-            return 0;
-        }
-
-        // Calculate damage (random between min and max)
-        const [minDamage, maxDamage] = Array.isArray(attacker.damage) ? attacker.damage : [1, attacker.damage];
-        
-        // Add critical hit chance (10%)
-        const isCritical = Math.random() < 0.1;
-        
-        // Calculate base damage
-        let damage = Math.floor(Math.random() * (maxDamage - minDamage + 1)) + minDamage;
+    // Show an attack resolved by the core
+    onAttack(attacker, target, damage, isCritical) {
+        const player = this.core.player;
         
-        // Double damage on critical hit
-        if (isCritical) {
-            damage = Math.floor(damage * 2);
-        }
-        
-        // Show attack animation
-        if (attacker === this.player || target === this.player) {
+        // Show attack animation (ranged attacks get a projectile instead)
+        const isMelee = Math.abs(attacker.x - target.x) <= 1 && Math.abs(attacker.y - target.y) <= 1;
+        if (isMelee && (attacker === player || target === player)) {
             this.createAttackAnimation(
-                attacker.x || this.player.x, 
-                attacker.y || this.player.y, 
-                target.x || this.player.x, 
-                target.y || this.player.y
+                attacker.x || player.x, 
+                attacker.y || player.y, 
+                target.x || player.x, 
+                target.y || player.y
             );
             
             // Add screen shake on critical or attack on player
-            if (isCritical || target === this.player) {
+            if (isCritical || target === player) {
                 this.screenShake(isCritical ? 8 : 5);
             }
         }
         
-        // Mark target as attacked and recently attacked
-        if (target !== this.player) {
+        // Mark target as attacked and recently attacked (companions always
+        // show their health)
+        if (target !== player && !target.follower) {
             // Add to attacked monsters set
             this.attackedMonsters.add(`${target.x},${target.y}`);
             
@@ -1753,13 +2421,118 @@ class GladelikeGame {
             this.recentlyAttacked.set(`${target.x},${target.y}`, timeout);
         }
         
-        // Apply damage
-        target.health = Math.max(0, target.health - damage);
-        
         // Show damage number
         this.showDamageNumber(damage, target.x, target.y, isCritical);
+    }
+    
+    onMonsterKilled(monster) {
+        // Clear any existing combat timeouts for this monster
+        const monsterKey = `${monster.x},${monster.y}`;
+        if (this.recentlyAttacked.has(monsterKey)) {
+            clearTimeout(this.recentlyAttacked.get(monsterKey));
+            this.recentlyAttacked.delete(monsterKey);
+        }
+    }
+    
+    onPlayerDamaged(amount) {
+        this.playerDamageFlash();
+    }
+    
+    onItemsPickedUp(items, leftItems) {
+        const player = this.core.player;
+        
+        const names = items.map(item => `+${this.core.getItemName(item)}`);
+        if (leftItems.length > 0) {
+            names.push('Inventory full');
+        }
+        
+        // Stagger the texts so they don't overlap
+        names.forEach((text, i) => {
+            setTimeout(() => this.showFloatingText(text, player.x, player.y), i * 300);
+        });
+    }
+    
+    onItemUsed(item) {
+        const player = this.core.player;
+        this.showFloatingText(this.core.itemTypes[item.type].name, player.x, player.y);
+    }
+    
+    onProjectile(path, kind) {
+        this.projectiles.push({
+            path,
+            kind,
+            startTime: performance.now(),
+            duration: path.length * 40 // ms - about 25 tiles a second
+        });
+    }
+    
+    onSpellCast(caster, spell, target) {
+        // Only announce spells the player can see being cast
+        if (this.core.visibleTiles[`${caster.x},${caster.y}`] === undefined) return;
+        
+        this.showFloatingText(`${this.core.spells[spell].name}!`, caster.x, caster.y);
+        
+        if (spell === 'healAlly') {
+            this.showFloatingText(`+${this.core.spells[spell].heal}`, target.x, target.y);
+        }
+    }
+    
+    onXpGained(amount) {
+        const player = this.core.player;
+        this.showFloatingText(`+${amount} XP`, player.x, player.y);
+    }
+    
+    onPlayerLevelUp(level) {
+        // Banner in the style of the level transition message
+        const message = document.createElement('div');
+        message.textContent = `Level up! You are now level ${level}`;
+        message.style.position = 'absolute';
+        message.style.top = '30%';
+        message.style.left = '50%';
+        message.style.transform = 'translate(-50%, -50%)';
+        message.style.color = '#ffd700';
+        message.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        message.style.padding = '15px 20px';
+        message.style.borderRadius = '5px';
+        message.style.fontSize = '22px';
+        message.style.textShadow = '0 0 8px #ff9900';
+        message.style.zIndex = '1000';
+        
+        document.body.appendChild(message);
+        
+        setTimeout(() => {
+            document.body.removeChild(message);
+        }, 2000);
+        
+        // Flash the experience bar
+        const xpBar = document.getElementById('xp-bar');
+        if (xpBar) {
+            xpBar.animate([
+                { boxShadow: '0 0 15px #ffd700' },
+                { boxShadow: '0 0 5px rgba(0,0,0,0.5)' }
+            ], { duration: 1000 });
+        }
+    }
+    
+    onLevelEntered() {
+        // Show level transition message
+        this.showLevelMessage();
         
-        return damage;
+        // Autosave at the start of every new level
+        this.saveGame();
+    }
+    
+    // Redraw everything after the core changed the game state
+    refresh() {
+        this.updateCamera();
+        this.drawMap();
+        this.drawMinimap();
+        this.updateLookTooltip();
+        this.updateUI();
+    }
+    
+    defer(callback, delay) {
+        setTimeout(callback, delay);
     }
 
     showDamageNumber(amount, x, y, isCritical = false) {
@@ -1810,6 +2583,27 @@ class GladelikeGame {
         }
     }
 
+    // Float a short piece of text up from a map position (pickups and the like)
+    showFloatingText(text, x, y) {
+        const element = document.createElement('div');
+        element.className = 'damage-number notice';
+        element.textContent = text;
+        element.style.left = `${this.mapToScreenX(x) + TILE_SIZE / 2}px`;
+        element.style.top = `${this.mapToScreenY(y)}px`;
+        element.style.transform = 'translateX(-50%)';
+        element.style.whiteSpace = 'nowrap';
+        
+        document.getElementById('game-container').appendChild(element);
+        
+        element.animate([
+            { transform: 'translate(-50%, 0)', opacity: 1 },
+            { transform: 'translate(-50%, -40px)', opacity: 0 }
+        ], {
+            duration: 1500,
+            easing: 'ease-out'
+        }).onfinish = () => element.remove();
+    }
+    
     screenShake(intensity) {
         const container = document.getElementById('game-container');
         const duration = 100; // milliseconds
@@ -1855,15 +2649,25 @@ class GladelikeGame {
         // Track if we need to redraw due to monster movement
         let needsRedraw = false;
         
-        // Check if it's time for monsters to move (only if game is initialized and player is alive)
-        if (this.player && !this.isDead && timestamp - this.lastMonsterMoveTime > this.monsterMoveInterval) {
-            this.moveMonsters();
+        // Check if it's time for monsters to move (only in real-time mode, and only if
+        // game is initialized and player is alive - in turn-based mode the core moves them)
+        if (this.core.timeMode === 'realtime' && this.core.player && !this.core.isDead && !this.isMenuOpen() &&
+            timestamp - this.lastMonsterMoveTime > this.monsterMoveInterval) {
+            this.core.moveMonsters();
             this.lastMonsterMoveTime = timestamp;
+            this.drawMinimap(); // Monsters in view have moved
+            this.updateLookTooltip();
             needsRedraw = true;
         }
         
-        // Only redraw if we have animated tiles, monsters moved, or the game is initialized
-        if ((this.animatedTiles.length > 0 || needsRedraw) && this.player) {
+        // Take the next step of click-to-travel (the core redraws after each step)
+        if (this.core.isTravelling() && timestamp - this.lastTravelStepTime > TRAVEL_STEP_INTERVAL) {
+            this.core.travelStep();
+            this.lastTravelStepTime = timestamp;
+        }
+        
+        // Only redraw if we have animated tiles, monsters moved, projectiles in flight, or the game is initialized
+        if ((this.core.animatedTiles.length > 0 || this.projectiles.length > 0 || needsRedraw) && this.core.player) {
             // Update light flickering
             this.updateLightFlicker();
             
@@ -1875,7 +2679,7 @@ class GladelikeGame {
     // Update light flickering for light sources
     updateLightFlicker() {
         // Update all light sources with flickering
-        for (const light of this.lightSources) {
+        for (const light of this.core.lightSources) {
             if (light.type === 'firepit') {
                 // Calculate new flicker value - between 0.9 and 1.1 of base intensity for more subtle flicker
                 light.currentIntensity = light.baseIntensity * (0.9 + Math.random() * 0.2);
@@ -1883,42 +2687,13 @@ class GladelikeGame {
         }
         
         // Update FOV with new light values
-        this.computeFOV();
-    }
-    
-    // Define animation frames for different animated tile types
-    defineAnimatedTileTypes() {
-        // Frame coordinates for fire pit animation (row 4 in animated-tiles.png)
-        this.animatedTileTypes = {
-            firepit: {
-                frames: [
-                    { x: 0, y: 3 },  // First frame (0-indexed y=3 for row 4)
-                    { x: 1, y: 3 },  // Second frame
-                    { x: 2, y: 3 },  // Third frame
-                    { x: 3, y: 3 },  // Fourth frame
-                    { x: 4, y: 3 },  // Fifth frame
-                    { x: 5, y: 3 }   // Sixth frame
-                ],
-                frameDuration: ANIMATION_SPEED, // Duration of each frame in ms
-                lightRadius: 3,      // Light radius in tiles
-                lightIntensity: 1.0  // Base light intensity
-            }
-        };
-    }
-
-    // Helper methods for checking tile visibility
-    isTileVisible(x, y) {
-        return this.visibleTiles[`${x},${y}`] !== undefined;
-    }
-    
-    isTileExplored(x, y) {
-        return this.exploredTiles[`${x},${y}`] !== undefined;
+        this.core.computeFOV();
     }
 
     // Add victory method
-    playerWon() {
-        // Set the victory flag (reusing isDead to disable movement)
-        this.isDead = true;
+    onPlayerWon() {
+        // The run is over, so there is nothing left to continue
+        this.deleteSavedGame();
         
         // Create a victory message overlay
         const gameContainer = document.getElementById('game-container');
@@ -1945,7 +2720,7 @@ class GladelikeGame {
         restartButton.style.fontSize = '16px';
         restartButton.style.cursor = 'pointer';
         restartButton.onclick = () => {
-            location.reload(); // Simple restart by reloading the page
+            this.restartGame();
         };
         
         victoryMessage.appendChild(document.createElement('br'));
@@ -2021,6 +2796,11 @@ class GladelikeGame {
                 font-style: italic;
             }
             
+            .damage-number.notice {
+                color: #ffd700;
+                font-size: 13px;
+            }
+            
             /* Monster health bar styles */
             .monster-health-bar {
                 position: absolute;
@@ -2055,17 +2835,17 @@ class GladelikeGame {
             const [_, x, y] = id.split('-');
             const key = `${x},${y}`;
             
-            if (!this.visibleTiles[key] || !this.monsters.some(m => m.x == x && m.y == y)) {
+            if (!this.core.visibleTiles[key] || !this.core.monsters.some(m => m.x == x && m.y == y)) {
                 bar.remove();
             }
         }
         
         // Only draw for visible and attacked monsters
-        for (const monster of this.monsters) {
+        for (const monster of this.core.monsters) {
             const key = `${monster.x},${monster.y}`;
             
             // Only draw if monster has been attacked and is visible or recently in combat
-            if (this.attackedMonsters.has(key) && (this.visibleTiles[key] || this.recentlyAttacked.has(key))) {
+            if (this.attackedMonsters.has(key) && (this.core.visibleTiles[key] || this.recentlyAttacked.has(key))) {
                 const screenX = this.mapToScreenX(monster.x);
                 const screenY = this.mapToScreenY(monster.y);
                 
@@ -2107,7 +2887,7 @@ class GladelikeGame {
                         this.recentlyAttacked.delete(key);
                         
                         // Fade out health bar if monster is no longer visible
-                        if (!this.visibleTiles[key]) {
+                        if (!this.core.visibleTiles[key]) {
                             const bar = document.getElementById(`monster-health-${monster.x}-${monster.y}`);
                             if (bar) {
                                 bar.classList.add('fading');
@@ -2125,15 +2905,15 @@ class GladelikeGame {
     // Add drawMonsters method to draw the monsters
     drawMonsters() {
         // Draw monsters (only if visible and on screen)
-        for (const monster of this.monsters) {
+        for (const monster of this.core.monsters) {
             if (this.isOnScreen(monster.x, monster.y)) {
                 const key = `${monster.x},${monster.y}`;
-                if (this.visibleTiles[key] !== undefined) {
+                if (this.core.visibleTiles[key] !== undefined) {
                     const screenX = this.mapToScreenX(monster.x);
                     const screenY = this.mapToScreenY(monster.y);
                     
-                    this.ctx.globalAlpha = this.visibleTiles[key];
-                    const [monsterY, monsterX] = this.monsterTypes[monster.type];
+                    this.ctx.globalAlpha = this.core.visibleTiles[key];
+                    const [monsterY, monsterX] = this.getSprite(this.monsterTypes, monster.type, CONTENT_FILES.monsters);
                     this.ctx.drawImage(
                         this.monstersImage,
                         monsterX * TILE_SIZE, monsterY * TILE_SIZE, TILE_SIZE, TILE_SIZE,
@@ -2187,6 +2967,11 @@ class GladelikeGame {
     togglePause() {
         this.isPaused = !this.isPaused;
         
+        // Autosave whenever the game is paused
+        if (this.isPaused) {
+            this.saveGame();
+        }
+        
         // Update the pause button appearance
         const pauseButton = document.getElementById('pause-button');
         if (pauseButton) {
@@ -2208,6 +2993,7 @@ class GladelikeGame {
                 pauseOverlay.style.height = '100%';
                 pauseOverlay.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
                 pauseOverlay.style.display = 'flex';
+                pauseOverlay.style.flexDirection = 'column';
                 pauseOverlay.style.justifyContent = 'center';
                 pauseOverlay.style.alignItems = 'center';
                 pauseOverlay.style.zIndex = '100';
@@ -2221,14 +3007,151 @@ class GladelikeGame {
                 pauseText.style.textShadow = '2px 2px 4px rgba(0, 0, 0, 0.8)';
                 
                 pauseOverlay.appendChild(pauseText);
+                pauseOverlay.appendChild(this.createSettingsPanel());
                 document.getElementById('game-container').appendChild(pauseOverlay);
             }
         } else {
+            this.rebindingAction = null;
             if (pauseOverlay) {
                 pauseOverlay.remove();
             }
         }
     }
+    
+    // Build the settings shown in the pause overlay
+    createSettingsPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'settings-panel';
+        panel.style.marginTop = '20px';
+        panel.style.padding = '10px 15px';
+        panel.style.color = 'white';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        panel.style.borderRadius = '5px';
+        panel.style.fontSize = '14px';
+        panel.style.pointerEvents = 'auto'; // The overlay itself lets clicks through
+        
+        // Monster timing: wall-clock real time or turn by turn
+        const label = document.createElement('label');
+        label.textContent = 'Monsters move: ';
+        
+        const timeModeSelect = document.createElement('select');
+        timeModeSelect.id = 'time-mode-select';
+        for (const [value, text] of [['realtime', 'In real time'], ['turns', 'Turn by turn']]) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            timeModeSelect.appendChild(option);
+        }
+        timeModeSelect.value = this.settings.timeMode;
+        timeModeSelect.onchange = () => {
+            this.setTimeMode(timeModeSelect.value);
+        };
+        
+        label.appendChild(timeModeSelect);
+        panel.appendChild(label);
+        
+        // Key bindings: a preset, and a list to rebind single actions
+        const keysLabel = document.createElement('label');
+        keysLabel.textContent = 'Keys: ';
+        keysLabel.style.display = 'block';
+        keysLabel.style.marginTop = '10px';
+        
+        const presetSelect = document.createElement('select');
+        presetSelect.id = 'key-preset-select';
+        for (const [value, preset] of Object.entries(KEY_PRESETS)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = preset.name;
+            presetSelect.appendChild(option);
+        }
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.textContent = 'Custom';
+        customOption.disabled = true;
+        presetSelect.appendChild(customOption);
+        presetSelect.value = this.settings.keyPreset;
+        presetSelect.onchange = () => {
+            this.setKeyPreset(presetSelect.value);
+            this.updateKeyBindingsPanel();
+        };
+        keysLabel.appendChild(presetSelect);
+        
+        const bindingsButton = document.createElement('button');
+        bindingsButton.textContent = 'Rebind...';
+        bindingsButton.style.marginLeft = '10px';
+        bindingsButton.style.cursor = 'pointer';
+        bindingsButton.onclick = () => {
+            const list = document.getElementById('key-bindings');
+            list.style.display = list.style.display === 'none' ? 'block' : 'none';
+        };
+        keysLabel.appendChild(bindingsButton);
+        panel.appendChild(keysLabel);
+        
+        const list = document.createElement('div');
+        list.id = 'key-bindings';
+        list.style.display = 'none';
+        list.style.marginTop = '10px';
+        list.style.maxHeight = '50vh';
+        list.style.overflowY = 'auto';
+        panel.appendChild(list);
+        this.updateKeyBindingsPanel(list);
+        
+        return panel;
+    }
+    
+    // Rebuild the key bindings list: one row per action with its keys and a
+    // button that waits for a new key
+    updateKeyBindingsPanel(list = document.getElementById('key-bindings')) {
+        if (!list) return;
+        
+        const presetSelect = document.getElementById('key-preset-select');
+        if (presetSelect) presetSelect.value = this.settings.keyPreset;
+        
+        list.innerHTML = '';
+        for (const [action, label] of Object.entries(KEY_ACTIONS)) {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.padding = '2px 0';
+            
+            const name = document.createElement('span');
+            name.textContent = label;
+            name.style.width = '170px';
+            row.appendChild(name);
+            
+            const keys = document.createElement('span');
+            keys.textContent = this.formatKeys(action);
+            keys.style.width = '110px';
+            keys.style.fontFamily = 'monospace';
+            keys.style.color = '#ffd43b';
+            row.appendChild(keys);
+            
+            const changeButton = document.createElement('button');
+            changeButton.textContent = this.rebindingAction === action ? 'Press a key...' : 'Change';
+            changeButton.style.cursor = 'pointer';
+            changeButton.onclick = () => {
+                this.rebindingAction = action;
+                changeButton.blur(); // Keep Space and Enter from clicking it again
+                this.updateKeyBindingsPanel();
+            };
+            row.appendChild(changeButton);
+            
+            list.appendChild(row);
+        }
+    }
+    
+    // The key pressed while an action waits for a new binding. Escape cancels,
+    // and lone modifier keys are ignored
+    handleRebindKey(e) {
+        e.preventDefault();
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+        
+        if (e.key !== 'Escape') {
+            this.bindKey(this.rebindingAction, e.key);
+        }
+        this.rebindingAction = null;
+        this.updateKeyBindingsPanel();
+    }
 }
 
 // Initialize the game when the page loads
@@ -0,0 +1,76 @@
+// The combat formula: accuracy, damage range, criticals and defense
+const test = require('node:test');
+const assert = require('node:assert');
+const { GladelikeCore, HeadlessUI, readContentFiles } = require('../core.js');
+
+const content = readContentFiles();
+
+// A fresh run, and a goblin to hit, with a stat block that always does the same thing
+const setup = () => {
+    const core = new GladelikeCore(new HeadlessUI(), content);
+    core.newGame('combat');
+    const goblin = core.createMonster('goblin', core.player.x + 1, core.player.y);
+    return { core, goblin };
+};
+const stats = (overrides) => ({ damage: [6, 6], accuracy: 1, critChance: 0, defense: 0, ...overrides });
+
+test('a miss does no damage', () => {
+    const { core, goblin } = setup();
+    const health = goblin.health;
+    
+    assert.strictEqual(core.performAttack(core.player, goblin, stats({ accuracy: 0 }), stats()), 0);
+    assert.strictEqual(goblin.health, health);
+});
+
+test('a hit rolls within the damage range, less the target\'s defense', () => {
+    const { core, goblin } = setup();
+    
+    for (let i = 0; i < 50; i++) {
+        goblin.health = goblin.maxHealth;
+        const damage = core.performAttack(core.player, goblin, stats({ damage: [3, 8] }), stats({ defense: 2 }));
+        assert.ok(damage >= 1 && damage <= 6, `${damage} is out of range`);
+        assert.strictEqual(goblin.health, goblin.maxHealth - damage);
+    }
+});
+
+test('a critical hit doubles the damage before defense', () => {
+    const { core, goblin } = setup();
+    
+    assert.strictEqual(core.performAttack(core.player, goblin, stats({ critChance: 1 }), stats({ defense: 2 })), 10);
+});
+
+test('a hit always does at least 1 damage', () => {
+    const { core, goblin } = setup();
+    
+    assert.strictEqual(core.performAttack(core.player, goblin, stats(), stats({ defense: 50 })), 1);
+});
+
+test('monsters lose health in performAttack, the player through modifyHealth', () => {
+    const { core, goblin } = setup();
+    const health = core.currentHealth;
+    
+    const damage = core.performAttack(goblin, core.player, stats(), stats());
+    assert.strictEqual(damage, 6);
+    assert.strictEqual(core.currentHealth, health);
+    
+    core.modifyHealth(-damage);
+    assert.strictEqual(core.currentHealth, health - 6);
+});
+
+test('a monster that kills the player only kills them once', () => {
+    const { core } = setup();
+    let deaths = 0;
+    core.ui.onPlayerDied = () => deaths++;
+    
+    core.monsters = [];
+    for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+        const monster = core.createMonster('orc', core.player.x + dx, core.player.y + dy);
+        monster.state = 'hunting';
+        core.monsters.push(monster);
+    }
+    core.currentHealth = 1;
+    for (let i = 0; i < 10; i++) core.moveMonsters();
+    
+    assert.strictEqual(core.isDead, true);
+    assert.strictEqual(deaths, 1);
+});
@@ -0,0 +1,66 @@
+// Every generated level can be crossed: the way down (or out, on the last
+// level) is reachable from where the player arrives, NPCs included
+const test = require('node:test');
+const assert = require('node:assert');
+const { GladelikeCore, HeadlessUI, MAP_WIDTH, MAP_HEIGHT, readContentFiles } = require('../core.js');
+
+const content = readContentFiles();
+const SEEDS = ['c1', 'c8', 'c22', 'c26', 'c28', 'c36', 'c50', 'alpha', 'beta', 'gamma'];
+
+// Walk the level the way the player can, diagonals included, from where
+// they stand; true if a step reaches the way down
+const canReachExit = (core) => {
+    const seen = new Set([`${core.player.x},${core.player.y}`]);
+    const queue = [core.player];
+    
+    while (queue.length > 0) {
+        const { x, y } = queue.pop();
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const key = `${nx},${ny}`;
+                if (seen.has(key) || nx < 0 || ny < 0 || nx >= MAP_WIDTH || ny >= MAP_HEIGHT) continue;
+                
+                if (core.isLevelExit(nx, ny) && core.map[ny][nx].feature !== 'stairsUp') return true;
+                if (core.isValidMove(nx, ny)) {
+                    seen.add(key);
+                    queue.push({ x: nx, y: ny });
+                }
+            }
+        }
+    }
+    return false;
+};
+
+for (const seed of SEEDS) {
+    test(`every level of seed ${seed} can be crossed`, () => {
+        const core = new GladelikeCore(new HeadlessUI(), content);
+        core.newGame(seed);
+        
+        for (let level = 1; level <= core.levels.length; level++) {
+            if (level > 1) core.goDownstairs();
+            assert.strictEqual(core.currentLevel, level);
+            assert.ok(canReachExit(core), `level ${level} (${core.getLevelTheme().generator}) can't be crossed`);
+        }
+    });
+}
+
+test('NPCs never split the walkable part of a level', () => {
+    const core = new GladelikeCore(new HeadlessUI(), content);
+    core.newGame('npcs');
+    
+    for (let level = 1; level <= core.levels.length; level++) {
+        if (level > 1) core.goDownstairs();
+        
+        // Count the regions with the NPCs standing where they are, then without them
+        const regions = () => core.findConnectedRegions(core.map.map((row, y) => row.map((tile, x) => (core.isValidMove(x, y) ? 0 : 1)))).length;
+        const withNpcs = regions();
+        const npcs = core.npcs;
+        core.npcs = [];
+        const withoutNpcs = regions();
+        core.npcs = npcs;
+        
+        assert.ok(withNpcs <= withoutNpcs, `NPCs split level ${level} into ${withNpcs} regions`);
+    }
+});